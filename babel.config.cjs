@@ -0,0 +1,9 @@
+// Jest runs the ES module sources through babel-jest; the rollup builds pass
+// their own preset-env options
+module.exports = {
+  env: {
+    test: {
+      presets: [["@babel/preset-env", { targets: { node: "current" } }]],
+    },
+  },
+};
@@ -1,10 +1,22 @@
 /**
- * AjaxAdapter - Handles remote data loading via AJAX
+ * AjaxAdapter - Handles remote data loading via AJAX or a dataSource function
  * Supports search, pagination, and custom request configuration
  */
 
 import BaseAdapter from "./BaseAdapter.js";
 import { EVENTS } from "../constants/events.js";
+import { LRUCache } from "../utils/cache.js";
+
+// HTTP statuses worth retrying besides 5xx (request timeout, rate limited)
+const RETRYABLE_STATUSES = [408, 429];
+
+// Cache settings used for `cache: true`
+const CACHE_DEFAULTS = {
+  maxEntries: 100,
+  ttl: 5 * 60 * 1000,
+  persist: false,
+  narrow: false,
+};
 
 class AjaxAdapter extends BaseAdapter {
   constructor(instance, options, dataAdapter) {
@@ -12,13 +24,18 @@ class AjaxAdapter extends BaseAdapter {
 
     this.dataAdapter = dataAdapter;
     this.currentRequest = null;
-    this.cache = new Map();
+    this.cache = null;
+
+    // Async function loading the data instead of HTTP requests
+    this.dataSource = this.options.get("dataSource");
 
     // Get AJAX configuration
     this.ajaxConfig = this.options.get("ajax");
 
-    if (!this.ajaxConfig) {
-      throw new Error("AjaxAdapter requires ajax configuration option");
+    if (!this.ajaxConfig && typeof this.dataSource !== "function") {
+      throw new Error(
+        "AjaxAdapter requires ajax configuration or dataSource option",
+      );
     }
 
     // Normalize AJAX config with defaults
@@ -29,11 +46,78 @@ class AjaxAdapter extends BaseAdapter {
       delay: 250,
       headers: {},
       cache: false,
+      timeout: 0,
+      retries: 0,
+      retryDelay: 500,
       data: (params) => params,
       processResults: (data) => ({ results: data }),
       transport: null,
-      ...this.ajaxConfig,
+      createTag: null,
+      resolveIds: null,
+      ...(this.ajaxConfig || {}),
     };
+
+    // Cached results are only reused for the same endpoint
+    this.endpoint = this._getEndpoint();
+    this.cache = this._createCache();
+  }
+
+  /**
+   * Identify the endpoint queried: the method and absolute URL, or the
+   * dataSource
+   * @returns {string} Endpoint
+   * @private
+   */
+  _getEndpoint() {
+    if (this.dataSource) return "dataSource";
+
+    const { method, url } = this.ajaxConfig;
+    let resolved = url;
+    try {
+      resolved = new URL(url, document.baseURI).href;
+    } catch {
+      // Not a URL (custom transport) - used as given
+    }
+
+    return `${method.toUpperCase()} ${resolved}`;
+  }
+
+  /**
+   * Create the response cache from ajax.cache
+   * `true` uses the defaults, an object overrides them
+   * @returns {LRUCache|null} Cache, or null when caching is off
+   * @throws {Error} If persist is true with a dataSource (nothing identifies
+   *   it across pages)
+   * @private
+   */
+  _createCache() {
+    const { cache } = this.ajaxConfig;
+    if (!cache) return null;
+
+    this.cacheConfig = {
+      ...CACHE_DEFAULTS,
+      ...(typeof cache === "object" ? cache : {}),
+    };
+
+    // persist: true keys the stored entries by instance id and endpoint, a
+    // string names them (e.g. to share them between selects of the same
+    // endpoint)
+    const { maxEntries, ttl, persist } = this.cacheConfig;
+    if (persist === true && this.dataSource) {
+      throw new Error(
+        "ajax.cache.persist must be a string naming the stored entries when using dataSource",
+      );
+    }
+    const storageName =
+      typeof persist === "string"
+        ? persist
+        : `${this.instance.id}:${this.endpoint}`;
+
+    return new LRUCache({
+      maxEntries,
+      ttl,
+      storageKey: persist ? `vanilla-smart-select:${storageName}` : null,
+    });
   }
 
   /**
@@ -48,8 +132,9 @@ class AjaxAdapter extends BaseAdapter {
 
     // Check cache if enabled
     const cacheKey = this._getCacheKey(params);
-    if (this.ajaxConfig.cache && this.cache.has(cacheKey)) {
-      return Promise.resolve(this.cache.get(cacheKey));
+    const cached = this._getCached(cacheKey, { term, page });
+    if (cached) {
+      return Promise.resolve(cached);
     }
 
     // Cancel previous request if exists
@@ -61,25 +146,21 @@ class AjaxAdapter extends BaseAdapter {
     this.emit(EVENTS.AJAX_LOADING, { params });
     this.trigger(this.$element, EVENTS.AJAX_LOADING, { params });
 
-    // Prepare request parameters using custom data function
-    const requestParams = this.ajaxConfig.data({ term, page });
-
-    // Use custom transport if provided, otherwise use default fetch
-    const request = this.ajaxConfig.transport
-      ? this.ajaxConfig.transport.call(this, requestParams, this.ajaxConfig)
-      : this._defaultTransport(requestParams);
-
+    const request = this._sendWithRetries({ term, page });
     this.currentRequest = request;
 
     return request
       .then((response) => {
-        this.currentRequest = null;
+        // A newer request may have started meanwhile
+        if (this.currentRequest === request) {
+          this.currentRequest = null;
+        }
 
-        // Process results using custom function
-        const processedResults = this.ajaxConfig.processResults(
-          response,
-          params,
-        );
+        // Process results using custom function ({ results, more } for
+        // dataSource)
+        const processedResults = this.dataSource
+          ? this._processDataSourceResults(response)
+          : this.ajaxConfig.processResults(response, params);
 
         // Normalize the results
         const normalizedResults = {
@@ -90,8 +171,13 @@ class AjaxAdapter extends BaseAdapter {
         };
 
         // Update cache if enabled
-        if (this.ajaxConfig.cache) {
-          this.cache.set(cacheKey, normalizedResults);
+        if (this.cache) {
+          this.cache.set(cacheKey, {
+            endpoint: this.endpoint,
+            term,
+            page,
+            ...normalizedResults,
+          });
         }
 
         // Emit success event
@@ -104,19 +190,279 @@ class AjaxAdapter extends BaseAdapter {
         return normalizedResults;
       })
       .catch((error) => {
-        this.currentRequest = null;
+        if (this.currentRequest === request) {
+          this.currentRequest = null;
+        }
 
-        // Only emit error if it's not an abort
-        if (error.name !== "AbortError") {
-          this.emit(EVENTS.AJAX_ERROR, { error, params });
-          this.trigger(this.$element, EVENTS.AJAX_ERROR, { error, params });
+        // Aborted requests were superseded - nothing to report
+        if (error.name === "AbortError") {
+          return { results: [], pagination: { more: false } };
         }
 
-        // Return empty results on error
-        return { results: [], pagination: { more: false } };
+        const type = this._getErrorType(error);
+        const status = typeof error.status === "number" ? error.status : null;
+        this.emit(EVENTS.AJAX_ERROR, { error, params, type, status });
+        this.trigger(this.$element, EVENTS.AJAX_ERROR, {
+          error,
+          params,
+          type,
+          status,
+        });
+
+        // Return empty results on error, with the error so the UI can offer
+        // to retry
+        return { results: [], pagination: { more: false }, error };
+      });
+  }
+
+  /**
+   * Send a query, retrying failures with exponential backoff
+   * (ajax.retries, ajax.retryDelay). Each attempt is limited to ajax.timeout
+   * @param {Object} params - Query parameters ({ term, page })
+   * @returns {Promise} Response promise with an abort method that also
+   *   cancels pending retries
+   * @private
+   */
+  _sendWithRetries(params) {
+    const { retries, retryDelay } = this.ajaxConfig;
+    let attempt = 0;
+    let current = null;
+    let aborted = false;
+    let retryTimer = null;
+    let cancelWait = null;
+
+    const send = () => {
+      current = this._withTimeout(this._createRequest(params));
+
+      return current.catch((error) => {
+        if (aborted || attempt >= retries || !this._isRetryable(error)) {
+          throw error;
+        }
+
+        // 1x, 2x, 4x... the base delay
+        const delay = retryDelay * 2 ** attempt;
+        attempt++;
+
+        return new Promise((resolve, reject) => {
+          cancelWait = reject;
+          retryTimer = setTimeout(resolve, delay);
+        }).then(send);
+      });
+    };
+
+    const request = send();
+    request.abort = () => {
+      aborted = true;
+      clearTimeout(retryTimer);
+      if (cancelWait) {
+        cancelWait(new DOMException("The query was aborted", "AbortError"));
+      }
+      if (current && typeof current.abort === "function") {
+        current.abort();
+      }
+    };
+
+    return request;
+  }
+
+  /**
+   * Start a single request
+   * dataSource gets the query directly, otherwise request parameters are
+   * prepared using the custom data function
+   * @param {Object} params - Query parameters ({ term, page })
+   * @returns {Promise} Request promise with an abort method
+   * @private
+   */
+  _createRequest(params) {
+    if (this.dataSource) {
+      return this._dataSourceTransport(params);
+    }
+
+    const requestParams = this.ajaxConfig.data(params);
+
+    // Use custom transport if provided, otherwise use default fetch
+    return this.ajaxConfig.transport
+      ? this.ajaxConfig.transport.call(this, requestParams, this.ajaxConfig)
+      : this._defaultTransport(requestParams);
+  }
+
+  /**
+   * Fail a request that takes longer than ajax.timeout, aborting it
+   * @param {Promise} request - Request promise with an abort method
+   * @returns {Promise} Request promise with an abort method
+   * @private
+   */
+  _withTimeout(request) {
+    const { timeout } = this.ajaxConfig;
+    if (!(timeout > 0)) return request;
+
+    let timer = null;
+    const timed = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`The request timed out after ${timeout}ms`);
+        error.name = "TimeoutError";
+        reject(error);
+
+        if (typeof request.abort === "function") {
+          request.abort();
+        }
+      }, timeout);
+
+      request.then(
+        (response) => {
+          clearTimeout(timer);
+          resolve(response);
+        },
+        (error) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      );
+    });
+
+    timed.abort = () => {
+      clearTimeout(timer);
+      if (typeof request.abort === "function") {
+        request.abort();
+      }
+    };
+
+    return timed;
+  }
+
+  /**
+   * Tell what kind of failure an error is
+   * @param {Error} error - Request error
+   * @returns {string} "timeout", "http" (the server answered with an error
+   *   status) or "network" (no usable response)
+   * @private
+   */
+  _getErrorType(error) {
+    if (error.name === "TimeoutError") return "timeout";
+    if (typeof error.status === "number") return "http";
+    return "network";
+  }
+
+  /**
+   * Check if a failed request is worth retrying
+   * Timeouts, network failures, 5xx, 408 and 429 are; other statuses are not
+   * @param {Error} error - Request error
+   * @returns {boolean} True if the request can be retried
+   * @private
+   */
+  _isRetryable(error) {
+    if (error.name === "AbortError") return false;
+    if (this._getErrorType(error) !== "http") return true;
+
+    return error.status >= 500 || RETRYABLE_STATUSES.includes(error.status);
+  }
+
+  /**
+   * Check if new tags are saved remotely (ajax.createTag is configured)
+   * @returns {boolean} True if ajax.createTag is a function
+   */
+  canCreateTag() {
+    return typeof this.ajaxConfig.createTag === "function";
+  }
+
+  /**
+   * Save a new tag through ajax.createTag
+   * The function may return the item or a promise resolving with it,
+   * typically carrying the id assigned by the server
+   * @param {Object} tag - Tag built by the createTag option
+   * @param {Object} params - Query parameters ({ term })
+   * @returns {Promise<Object|null>} Saved item, or null if it was rejected or failed
+   */
+  createTag(tag, params = {}) {
+    // Strip internal rendering flags before handing the tag to user code
+    const data = { ...tag };
+    delete data._isTag;
+
+    return Promise.resolve()
+      .then(() => this.ajaxConfig.createTag.call(this, data, params))
+      .then((saved) => (saved ? this._normalizeItem(saved) : null))
+      .catch((error) => {
+        this.emit(EVENTS.AJAX_ERROR, { error, params });
+        this.trigger(this.$element, EVENTS.AJAX_ERROR, { error, params });
+        return null;
       });
   }
 
+  /**
+   * Check if chosen ids can be resolved to items (ajax.resolveIds is configured)
+   * @returns {boolean} True if ajax.resolveIds is a function
+   */
+  canResolveIds() {
+    return typeof this.ajaxConfig.resolveIds === "function";
+  }
+
+  /**
+   * Select ids that are not part of the loaded data
+   * They are selected right away with a loading state, then resolved
+   * through ajax.resolveIds
+   * @param {Array<string|number>} ids - Item IDs
+   * @returns {Promise<void>} Resolves once the items are resolved
+   */
+  selectIds(ids) {
+    const placeholders = ids.map((id) =>
+      this._normalizeItem({ id, text: String(id), _loading: true }),
+    );
+
+    let added;
+    if (this.options.get("multiple")) {
+      added = this.dataAdapter.selectMany(placeholders);
+    } else {
+      added = this.dataAdapter.select(placeholders[0]) ? [placeholders[0]] : [];
+    }
+
+    return this.resolveSelection(added.map((item) => item.id));
+  }
+
+  /**
+   * Replace chosen items by what ajax.resolveIds returns for their ids
+   * The items show a loading state meanwhile. Ids missing from the
+   * response keep the id as label
+   * @param {Array<string|number>} ids - IDs of chosen items
+   * @returns {Promise<void>} Resolves once the selection is updated
+   */
+  resolveSelection(ids) {
+    if (ids.length === 0) return Promise.resolve();
+
+    this.dataAdapter.setLoading(ids, true);
+    this._updateSelection();
+
+    return Promise.resolve()
+      .then(() => this.ajaxConfig.resolveIds.call(this, ids))
+      .then((items) => {
+        const resolved = Array.isArray(items)
+          ? items.map((item) => this._normalizeItem(item))
+          : [];
+        this.dataAdapter.updateItems(resolved);
+      })
+      .catch((error) => {
+        const params = { ids };
+        this.emit(EVENTS.AJAX_ERROR, { error, params });
+        this.trigger(this.$element, EVENTS.AJAX_ERROR, { error, params });
+      })
+      .then(() => {
+        // Adapters are gone if the instance was destroyed meanwhile
+        if (!this.dataAdapter) return;
+
+        this.dataAdapter.setLoading(ids, false);
+        this._updateSelection();
+      });
+  }
+
+  /**
+   * Re-render the selection display
+   * @private
+   */
+  _updateSelection() {
+    if (this.instance.selectionAdapter) {
+      this.instance.selectionAdapter.update();
+    }
+  }
+
   /**
    * Default transport using Fetch API
    * @param {Object} params - Request parameters
@@ -152,7 +498,9 @@ class AjaxAdapter extends BaseAdapter {
 
     const fetchPromise = fetch(url, fetchOptions).then((response) => {
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
       }
 
       // Parse response based on dataType
@@ -171,6 +519,47 @@ class AjaxAdapter extends BaseAdapter {
     return fetchPromise;
   }
 
+  /**
+   * Transport calling the dataSource option
+   * The returned promise is rejected with an AbortError once aborted, even
+   * if the data source ignores the signal
+   * @param {Object} params - Query parameters ({ term, page })
+   * @returns {Promise} dataSource promise with an abort method
+   * @private
+   */
+  _dataSourceTransport(params) {
+    const abortController = new AbortController();
+    const { signal } = abortController;
+
+    const request = Promise.resolve()
+      .then(() => this.dataSource({ ...params, signal }))
+      .then((response) => {
+        if (signal.aborted) {
+          throw new DOMException("The query was aborted", "AbortError");
+        }
+        return response;
+      });
+
+    request.abort = () => abortController.abort();
+
+    return request;
+  }
+
+  /**
+   * Convert a dataSource response to the processResults format
+   * @param {Object|Array} response - { results, more } (or just the results)
+   * @returns {Object} Results with pagination info
+   * @private
+   */
+  _processDataSourceResults(response) {
+    if (Array.isArray(response)) {
+      return { results: response, pagination: { more: false } };
+    }
+
+    const { results, more } = response || {};
+    return { results, pagination: { more: Boolean(more) } };
+  }
+
   /**
    * Normalize a data item (same as DataAdapter)
    * @param {Object} item - Data item
@@ -198,26 +587,75 @@ class AjaxAdapter extends BaseAdapter {
   }
 
   /**
-   * Generate cache key from parameters
+   * Generate cache key from the endpoint and parameters
    * @param {Object} params - Query parameters
    * @returns {string} Cache key
    * @private
    */
   _getCacheKey(params) {
-    return JSON.stringify(params);
+    return JSON.stringify([this.endpoint, params]);
   }
 
   /**
-   * Clear the cache
+   * Get cached results for a query
+   * With cache.narrow, a first page whose term extends the term of a
+   * complete cached result set (no more pages) is filtered from it with the
+   * SearchManager
+   * @param {string} cacheKey - Cache key of the query
+   * @param {Object} params - Query parameters ({ term, page })
+   * @returns {Object|null} Results with pagination info, or null to fetch
+   * @private
+   */
+  _getCached(cacheKey, { term, page }) {
+    if (!this.cache) return null;
+
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      return { results: cached.results, pagination: cached.pagination };
+    }
+
+    if (!this.cacheConfig.narrow || page !== 1 || !term) return null;
+
+    // Longest cached term the new term starts with
+    let base = null;
+    for (const entry of this.cache.values()) {
+      const isPrefix =
+        entry.endpoint === this.endpoint &&
+        entry.page === 1 &&
+        !(entry.pagination && entry.pagination.more) &&
+        typeof entry.term === "string" &&
+        entry.term.length < term.length &&
+        term.startsWith(entry.term);
+
+      if (isPrefix && (!base || entry.term.length > base.term.length)) {
+        base = entry;
+      }
+    }
+
+    if (!base) return null;
+
+    const searchManager = this.instance.resultsAdapter.searchManager;
+    return {
+      results: searchManager.search(base.results, term),
+      pagination: { more: false },
+    };
+  }
+
+  /**
+   * Clear the cache, including entries persisted in sessionStorage
    */
   clearCache() {
-    this.cache.clear();
+    if (this.cache) {
+      this.cache.clear();
+    }
   }
 
   /**
    * Destroy the adapter
    */
   destroy() {
+    super.destroy();
+
     // Cancel any pending requests
     if (this.currentRequest) {
       this.currentRequest.abort();
@@ -225,7 +663,10 @@ class AjaxAdapter extends BaseAdapter {
     }
 
     // Clear cache
-    this.clearCache();
+    // Persisted entries outlive the instance
+    this.cache = null;
+
+    this.dataAdapter = null;
   }
 }
 
@@ -8,6 +8,9 @@ class BaseAdapter {
     this.instance = instance;
     this.options = options;
     this.$element = instance.element;
+
+    // Instance listeners added through listen(), removed by destroy()
+    this._listeners = [];
   }
 
   /**
@@ -22,7 +25,30 @@ class BaseAdapter {
    * Destroy the adapter and cleanup
    */
   destroy() {
-    // Override in subclasses
+    // Override in subclasses (calling super.destroy())
+    this._removeListeners();
+  }
+
+  /**
+   * Listen to an instance event for the lifetime of the adapter
+   * @param {string} eventName - Event name
+   * @param {Function} handler - Event handler
+   */
+  listen(eventName, handler) {
+    this.instance.on(eventName, handler);
+    this._listeners.push([eventName, handler]);
+  }
+
+  /**
+   * Remove the instance listeners added through listen()
+   * The instance keeps working when adapters are rebuilt (setOptions)
+   * @private
+   */
+  _removeListeners() {
+    this._listeners.forEach(([eventName, handler]) => {
+      this.instance.off(eventName, handler);
+    });
+    this._listeners = [];
   }
 
   /**
@@ -6,30 +6,433 @@
 import BaseAdapter from "./BaseAdapter.js";
 import { EVENTS } from "../constants/events.js";
 
+// Native properties whose writes change the selection without a DOM mutation
+const SELECTION_PROPERTIES = ["value", "selectedIndex"];
+
 class DataAdapter extends BaseAdapter {
   constructor(instance, options) {
     super(instance, options);
 
     this.data = [];
     this.selection = [];
+
+    // Lazy mode: whether the data was loaded, the pending data function and
+    // its last error
+    this._loaded = false;
+    this._loading = null;
+    this.loadError = null;
+
+    // Sync with changes made to the native select by other scripts
+    this._observer = null;
+    this._interceptedProperties = [];
+    this._formResetHandler = null;
+    this._observedForm = null;
   }
 
   /**
    * Initialize data from element or options
    */
   init() {
-    // Load data from options or element
+    // Lazy mode only reads the chosen options now
+    if (!this.isLazy()) {
+      this.load();
+    }
+
+    // Load initial selection
+    this.loadInitialSelection();
+
+    if (this.options.get("syncElement")) {
+      this._observeElement();
+    }
+
+    if (this.options.get("syncElementValue")) {
+      this._interceptSelectionWrites();
+    }
+  }
+
+  /**
+   * Check if loading the data waits until it is first needed (the first
+   * open, or a lookup such as val())
+   * Data functions are always loaded lazily
+   * @returns {boolean} True in lazy mode
+   */
+  isLazy() {
+    return (
+      Boolean(this.options.get("lazy")) ||
+      typeof this.options.get("data") === "function"
+    );
+  }
+
+  /**
+   * Check if the data was loaded
+   * @returns {boolean} True once loaded
+   */
+  isLoaded() {
+    return this._loaded;
+  }
+
+  /**
+   * Load the data from the data option or the <option> elements
+   * Runs once; a data function may return the items or a Promise. A
+   * rejected Promise (or an error thrown by the function) is kept in
+   * loadError and fires vs:dataError - the next call tries again
+   * @returns {Promise|null} Promise settling (never rejecting) once a data
+   *   function's items are loaded or failed, or null if the data was loaded
+   *   synchronously
+   */
+  load() {
+    if (this._loaded) return null;
+    if (this._loading) return this._loading;
+
     const optionsData = this.options.get("data");
 
-    if (optionsData && Array.isArray(optionsData)) {
+    if (typeof optionsData === "function") {
+      this.loadError = null;
+
+      let result;
+      try {
+        result = optionsData.call(this.instance);
+      } catch (error) {
+        result = Promise.reject(error);
+      }
+
+      if (result && typeof result.then === "function") {
+        const loading = Promise.resolve(result).then(
+          (data) => {
+            // Destroyed in the meantime
+            if (this._loading !== loading) return;
+            this._loading = null;
+            this.setData(Array.isArray(data) ? data : []);
+          },
+          (error) => {
+            if (this._loading !== loading) return;
+            this._loading = null;
+            this.loadError = error;
+            this.emit(EVENTS.DATA_ERROR, { error });
+            this.trigger(this.$element, EVENTS.DATA_ERROR, { error });
+          },
+        );
+        this._loading = loading;
+        return loading;
+      }
+
+      this.setData(Array.isArray(result) ? result : []);
+    } else if (Array.isArray(optionsData)) {
       this.setData(optionsData);
     } else {
       // Load from <option> elements
       this.loadFromElement();
     }
 
-    // Load initial selection
-    this.loadInitialSelection();
+    return null;
+  }
+
+  /**
+   * Forget the loaded data, so it is read again from its source when next
+   * needed (e.g. after the ajax option was removed at runtime)
+   */
+  invalidate() {
+    this.data = [];
+    this._loaded = false;
+    this._loading = null;
+    this.loadError = null;
+  }
+
+  /**
+   * Switch the native select between single and multiple selection
+   * Going single keeps the first chosen item; the others are unselected
+   * with a batch of events
+   * @param {boolean} multiple - Multiple selection
+   */
+  setMultiple(multiple) {
+    this._pauseObserver();
+    this.$element.multiple = multiple;
+    this._resumeObserver();
+
+    const removed = multiple ? [] : this.selection.slice(1);
+    if (removed.length > 0) {
+      this.selection = this.selection.slice(0, 1);
+    }
+    this._updateElement();
+
+    if (removed.length > 0) {
+      this._emitBatch([], removed);
+    }
+  }
+
+  /**
+   * Watch the native select for changes made outside the component
+   * Option list and attribute changes are seen by a MutationObserver;
+   * value/selectedIndex writes don't mutate the DOM (see syncElementValue)
+   * @private
+   */
+  _observeElement() {
+    if (typeof MutationObserver !== "undefined") {
+      this._observer = new MutationObserver((records) => {
+        this._handleMutations(records);
+      });
+      this._connectObserver();
+    }
+
+    // form.reset() restores default selectedness without mutations - the
+    // options are only reset after the event
+    const form = this.$element.form;
+    if (form) {
+      this._formResetHandler = () => {
+        setTimeout(() => {
+          if (this._observedForm) {
+            this.syncSelectionFromElement();
+          }
+        }, 0);
+      };
+      form.addEventListener("reset", this._formResetHandler);
+      this._observedForm = form;
+    }
+  }
+
+  /**
+   * Wrap the value/selectedIndex setters of the native select
+   * The wrappers are own properties of the element calling the native
+   * getters and setters - the element's prototype is left untouched
+   * @private
+   */
+  _interceptSelectionWrites() {
+    const adapter = this;
+
+    SELECTION_PROPERTIES.forEach((property) => {
+      const descriptor = this._getNativeDescriptor(property);
+      if (!descriptor || !descriptor.set) return;
+
+      Object.defineProperty(this.$element, property, {
+        configurable: true,
+        enumerable: descriptor.enumerable,
+        get() {
+          return descriptor.get.call(this);
+        },
+        set(value) {
+          descriptor.set.call(this, value);
+          adapter.syncSelectionFromElement();
+        },
+      });
+      this._interceptedProperties.push(property);
+    });
+  }
+
+  /**
+   * Find the native property descriptor on the element's prototype chain
+   * (skipping the element's own wrappers)
+   * @param {string} property - Property name
+   * @returns {PropertyDescriptor|undefined} Descriptor
+   * @private
+   */
+  _getNativeDescriptor(property) {
+    let proto = Object.getPrototypeOf(this.$element);
+
+    while (proto) {
+      const descriptor = Object.getOwnPropertyDescriptor(proto, property);
+      if (descriptor) return descriptor;
+      proto = Object.getPrototypeOf(proto);
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Start observing the native select
+   * @private
+   */
+  _connectObserver() {
+    this._observer.observe(this.$element, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: ["disabled", "label", "value", "selected"],
+    });
+  }
+
+  /**
+   * Stop observing while the adapter writes to the native select itself
+   * Changes from other scripts still pending are handled afterwards
+   * @private
+   */
+  _pauseObserver() {
+    if (!this._observer) return;
+
+    const pending = this._observer.takeRecords();
+    this._observer.disconnect();
+
+    if (pending.length > 0) {
+      queueMicrotask(() => this._handleMutations(pending));
+    }
+  }
+
+  /**
+   * Resume observing after the adapter's own writes
+   * @private
+   */
+  _resumeObserver() {
+    if (this._observer) {
+      this._connectObserver();
+    }
+  }
+
+  /**
+   * Apply changes made to the native select outside the component
+   * @param {MutationRecord[]} records - Mutation records
+   * @private
+   */
+  _handleMutations(records) {
+    if (!this._observer) return;
+
+    const element = this.$element;
+
+    // The select's own disabled attribute maps to enable()/disable()
+    const disabledChanged = records.some(
+      (record) =>
+        record.target === element && record.attributeName === "disabled",
+    );
+    if (disabledChanged && element.disabled !== this.instance.isDisabled) {
+      if (element.disabled) {
+        this.instance.disable();
+      } else {
+        this.instance.enable();
+      }
+    }
+
+    const optionsChanged = records.some(
+      (record) => record.target !== element || record.type === "childList",
+    );
+
+    // Data passed in options or loaded remotely isn't owned by the markup
+    const optionsData = this.options.get("data");
+    const fromMarkup =
+      !Array.isArray(optionsData) &&
+      typeof optionsData !== "function" &&
+      !this.options.get("ajax") &&
+      !this.options.get("dataSource");
+
+    // Not loaded yet (lazy mode) - only the chosen options matter
+    if (optionsChanged && fromMarkup && !this._loaded) {
+      this.syncSelectionFromElement(true);
+    } else if (optionsChanged && fromMarkup) {
+      this.loadFromElement();
+      this.emit(EVENTS.DATA_LOADED, { data: this.data });
+      this.syncSelectionFromElement(true);
+
+      const resultsAdapter = this.instance.resultsAdapter;
+      if (resultsAdapter) {
+        resultsAdapter.update(resultsAdapter.currentSearchTerm);
+      }
+    } else {
+      this.syncSelectionFromElement();
+    }
+  }
+
+  /**
+   * Take the selection from the native select's selected options
+   * Emits a batch of select/unselect events for the difference; the native
+   * select already holds the new state, so no native change event is
+   * dispatched. Newly selected items go through the plugins' select hooks
+   * @param {boolean} [refresh=false] - Re-render chosen items even if the
+   *   selected ids are unchanged (e.g. after an option's text changed)
+   * @returns {boolean} True if the selection changed
+   */
+  syncSelectionFromElement(refresh = false) {
+    const checked = Array.from(
+      this.$element.querySelectorAll("option:checked"),
+    ).map((option) => {
+      const normalized = this._normalizeOption(option);
+      return this._findItem(normalized.id) || normalized;
+    });
+
+    const previousIds = this.selection.map((item) => String(item.id));
+    let nextIds = checked.map((item) => String(item.id));
+
+    let removed = this.selection.filter(
+      (item) => !nextIds.includes(String(item.id)),
+    );
+    let added = checked.filter(
+      (item) => !previousIds.includes(String(item.id)),
+    );
+
+    // Plugins can refuse newly selected items - unselect their options again
+    const refused = added.filter(
+      (item) => !this.instance.pluginManager.select(item),
+    );
+    if (refused.length > 0) {
+      added = added.filter((item) => !refused.includes(item));
+      if (!this.options.get("multiple") && added.length === 0) {
+        // The previous item stays chosen
+        removed = [];
+      }
+      nextIds = [...this.selection, ...added]
+        .filter((item) => !removed.includes(item))
+        .map((item) => String(item.id));
+      this._restoreElementSelection(nextIds);
+    }
+
+    if (removed.length === 0 && added.length === 0) {
+      if (refresh) {
+        // Keep the chosen order, pick up the rebuilt items
+        this.selection = this.selection.map(
+          (item) =>
+            checked.find((next) => String(next.id) === String(item.id)) || item,
+        );
+        if (this.instance.selectionAdapter) {
+          this.instance.selectionAdapter.update();
+        }
+      }
+      return false;
+    }
+
+    // Chosen items keep their order, newly selected ones follow in DOM order
+    this.selection = [
+      ...this.selection
+        .filter((item) => nextIds.includes(String(item.id)))
+        .map(
+          (item) =>
+            checked.find((next) => String(next.id) === String(item.id)) || item,
+        ),
+      ...added,
+    ];
+
+    this._emitBatch(added, removed);
+
+    return true;
+  }
+
+  /**
+   * Set the selectedness of the native options without a change event
+   * @param {Array<string>} ids - Values of the options to select
+   * @private
+   */
+  _restoreElementSelection(ids) {
+    this._pauseObserver();
+    this.$element.querySelectorAll("option").forEach((option) => {
+      option.selected = ids.includes(option.value);
+    });
+    this._resumeObserver();
+  }
+
+  /**
+   * Find a data item by id, including group children
+   * @param {string|number} id - Item ID
+   * @param {Array} [items] - Items to search (defaults to all data)
+   * @returns {Object|null} Item
+   * @private
+   */
+  _findItem(id, items = this.data) {
+    for (const item of items) {
+      if (item.children) {
+        const child = this._findItem(id, item.children);
+        if (child) return child;
+      } else if (String(item.id) === String(id)) {
+        return item;
+      }
+    }
+
+    return null;
   }
 
   /**
@@ -78,6 +481,7 @@ class DataAdapter extends BaseAdapter {
     });
 
     this.data = data;
+    this._loaded = true;
   }
 
   /**
@@ -136,6 +540,7 @@ class DataAdapter extends BaseAdapter {
    */
   setData(data) {
     this.data = data.map((item) => this._normalizeItem(item));
+    this._loaded = true;
     this.emit(EVENTS.DATA_LOADED, { data: this.data });
   }
 
@@ -175,6 +580,9 @@ class DataAdapter extends BaseAdapter {
    * @returns {Array} Filtered data with groups preserved
    */
   query(_params = {}) {
+    // Lazy mode loads the data on first use
+    this.load();
+
     // Return data with groups intact - don't flatten!
     // Filtering/searching is handled by SearchManager and ResultsAdapter
     return this.data;
@@ -191,12 +599,17 @@ class DataAdapter extends BaseAdapter {
   /**
    * Select an item
    * @param {Object} data - Item to select
-   * @returns {boolean} True if selection was successful, false if limit reached or already selected
+   * @returns {boolean} True if selection was successful, false if limit reached, already selected or refused by a plugin
    */
   select(data) {
     const isMultiple = this.options.get("multiple");
 
     if (!isMultiple) {
+      // Plugins can refuse the item
+      if (!this.instance.pluginManager.select(data)) {
+        return false;
+      }
+
       // Single select - clear previous selection
       this.selection = [data];
     } else {
@@ -212,24 +625,15 @@ class DataAdapter extends BaseAdapter {
           this.selection.length >= maximumSelectionLength
         ) {
           // Limit reached - emit event and return false
-          const language = this.options.get("language");
-          const message =
-            typeof language.maximumSelected === "function"
-              ? language.maximumSelected({ maximum: maximumSelectionLength })
-              : `You can only select ${maximumSelectionLength} items`;
-
-          this.emit(EVENTS.SELECTION_LIMIT_REACHED, {
-            maximum: maximumSelectionLength,
-            message: message,
-          });
-          this.trigger(this.$element, EVENTS.SELECTION_LIMIT_REACHED, {
-            maximum: maximumSelectionLength,
-            message: message,
-          });
-
+          this._emitLimitReached(maximumSelectionLength);
           return false; // Selection failed - limit reached
         }
 
+        // Plugins can refuse the item
+        if (!this.instance.pluginManager.select(data)) {
+          return false;
+        }
+
         this.selection.push(data);
       } else {
         // Item already selected
@@ -266,6 +670,198 @@ class DataAdapter extends BaseAdapter {
     this.trigger(this.$element, EVENTS.CHANGE, { value: this.getValue() });
   }
 
+  /**
+   * Select several items at once (multiple select)
+   * The native element is updated once and a single change event is fired.
+   * Items beyond maximumSelectionLength or refused by a plugin are skipped
+   * @param {Array} items - Items to select
+   * @returns {Array} Items that were added to the selection
+   */
+  selectMany(items) {
+    const ids = new Set(this.selection.map((item) => String(item.id)));
+    const candidates = [];
+
+    items.forEach((item) => {
+      const id = String(item.id);
+      if (!ids.has(id) && this.instance.pluginManager.select(item)) {
+        ids.add(id);
+        candidates.push(item);
+      }
+    });
+
+    const maximumSelectionLength = this.options.get("maximumSelectionLength");
+    const room =
+      maximumSelectionLength > 0
+        ? Math.max(0, maximumSelectionLength - this.selection.length)
+        : candidates.length;
+    const added = candidates.slice(0, room);
+
+    if (added.length < candidates.length) {
+      this._emitLimitReached(maximumSelectionLength);
+    }
+
+    if (added.length > 0) {
+      this.selection = [...this.selection, ...added];
+      this._updateElement();
+      this._emitBatch(added, []);
+    }
+
+    return added;
+  }
+
+  /**
+   * Unselect several items at once (multiple select)
+   * The native element is updated once and a single change event is fired
+   * @param {Array} items - Items to unselect
+   * @returns {Array} Items that were removed from the selection
+   */
+  unselectMany(items) {
+    const ids = new Set(items.map((item) => String(item.id)));
+    const removed = this.selection.filter((item) => ids.has(String(item.id)));
+
+    if (removed.length > 0) {
+      this.selection = this.selection.filter(
+        (item) => !ids.has(String(item.id)),
+      );
+      this._updateElement();
+      this._emitBatch([], removed);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Emit the events of a batch selection change
+   * Select/unselect events are flagged with batch: true so the UI can wait
+   * for the single change event, which lists the selected and unselected items
+   * @param {Array} selected - Items added to the selection
+   * @param {Array} unselected - Items removed from the selection
+   * @private
+   */
+  _emitBatch(selected, unselected) {
+    unselected.forEach((data) => {
+      this.emit(EVENTS.UNSELECT, { data, batch: true });
+      this.trigger(this.$element, EVENTS.UNSELECT, { data, batch: true });
+    });
+    selected.forEach((data) => {
+      this.emit(EVENTS.SELECT, { data, batch: true });
+      this.trigger(this.$element, EVENTS.SELECT, { data, batch: true });
+    });
+
+    const value = this.getValue();
+    const batch = { selected, unselected };
+    this.emit(EVENTS.CHANGE, { value, batch });
+    this.trigger(this.$element, EVENTS.CHANGE, { value, batch });
+  }
+
+  /**
+   * Emit the selection limit event with the localized message
+   * @param {number} maximum - maximumSelectionLength
+   * @private
+   */
+  _emitLimitReached(maximum) {
+    const language = this.options.get("language");
+    const message =
+      typeof language.maximumSelected === "function"
+        ? language.maximumSelected({ maximum })
+        : `You can only select ${maximum} items`;
+
+    this.emit(EVENTS.SELECTION_LIMIT_REACHED, { maximum, message });
+    this.trigger(this.$element, EVENTS.SELECTION_LIMIT_REACHED, {
+      maximum,
+      message,
+    });
+  }
+
+  /**
+   * Flag chosen items as loading (their data is being resolved)
+   * @param {Array<string|number>} ids - IDs of chosen items
+   * @param {boolean} loading - Loading state
+   */
+  setLoading(ids, loading) {
+    const pending = new Set(ids.map(String));
+
+    this.selection = this.selection.map((item) => {
+      if (!pending.has(String(item.id))) return item;
+
+      const updated = { ...item, _loading: loading };
+      if (!loading) delete updated._loading;
+      return updated;
+    });
+  }
+
+  /**
+   * Replace chosen items with fresh data for the same ids, keeping their
+   * position and <option>. The option label follows the item text
+   * Items that are not chosen are ignored
+   * @param {Array} items - Normalized items
+   */
+  updateItems(items) {
+    const byId = new Map(items.map((item) => [String(item.id), item]));
+
+    this._pauseObserver();
+
+    this.selection = this.selection.map((item) => {
+      const fresh = byId.get(String(item.id));
+      if (!fresh) return item;
+
+      const updated = { ...fresh, element: item.element };
+      if (item._loading) updated._loading = true;
+      if (item.element && item.element.textContent !== fresh.text) {
+        item.element.textContent = fresh.text;
+      }
+      return updated;
+    });
+
+    this._resumeObserver();
+  }
+
+  /**
+   * Reorder the current selection (multiple select)
+   * Items missing from ids keep their relative order at the end
+   * @param {Array<string|number>} ids - Selected item IDs in the new order
+   * @returns {boolean} True if the order changed
+   */
+  reorder(ids) {
+    const byId = new Map(this.selection.map((item) => [String(item.id), item]));
+    const ordered = [];
+
+    ids.forEach((id) => {
+      const item = byId.get(String(id));
+      if (item && !ordered.includes(item)) {
+        ordered.push(item);
+      }
+    });
+
+    this.selection.forEach((item) => {
+      if (!ordered.includes(item)) {
+        ordered.push(item);
+      }
+    });
+
+    const changed = ordered.some(
+      (item, index) => item !== this.selection[index],
+    );
+    if (!changed) {
+      return false;
+    }
+
+    const previousValue = this.getValue();
+    this.selection = ordered;
+
+    // Update element
+    this._updateElement();
+
+    // Emit events
+    const value = this.getValue();
+    this.emit(EVENTS.REORDER, { value, previousValue });
+    this.emit(EVENTS.CHANGE, { value });
+    this.trigger(this.$element, EVENTS.REORDER, { value, previousValue });
+    this.trigger(this.$element, EVENTS.CHANGE, { value });
+
+    return true;
+  }
+
   /**
    * Clear all selections
    */
@@ -296,25 +892,153 @@ class DataAdapter extends BaseAdapter {
    * @private
    */
   _updateElement() {
-    const options = this.$element.querySelectorAll("option");
-    const selectedIds = this.selection.map((item) => item.id);
+    // Our own writes must not be read back as external changes
+    this._pauseObserver();
+
+    // Compare as strings - option values are strings, item ids may be numbers
+    const selectedIds = this.selection.map((item) => String(item.id));
+
+    // Tags and AJAX items have no <option> yet - create them so native form
+    // submission and FormData always reflect the selection
+    this._createMissingOptions();
 
+    const options = this.$element.querySelectorAll("option");
     options.forEach((option) => {
-      const value = option.value || option.text;
+      const value = option.value;
       option.selected = selectedIds.includes(value);
     });
 
+    if (this.options.get("cleanupGeneratedOptions")) {
+      this._removeGeneratedOptions();
+    }
+
+    // Chosen items can be reordered - keep the submitted order in sync
+    if (this.options.get("sortable") && this.options.get("multiple")) {
+      this._syncOptionOrder();
+    }
+
+    this._resumeObserver();
+
     // Trigger native change event
     const event = new Event("change", { bubbles: true });
     this.$element.dispatchEvent(event);
   }
 
+  /**
+   * Create <option> elements for selected items that are not in the markup
+   * Generated options are marked with data-vs-generated="true"
+   * @private
+   */
+  _createMissingOptions() {
+    const existing = new Set(
+      Array.from(this.$element.querySelectorAll("option")).map(
+        (option) => option.value,
+      ),
+    );
+
+    this.selection.forEach((item) => {
+      const value = String(item.id);
+      if (existing.has(value)) return;
+
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = item.text;
+      option.setAttribute("data-vs-generated", "true");
+      this.$element.appendChild(option);
+
+      item.element = option;
+      existing.add(value);
+    });
+  }
+
+  /**
+   * Remove generated <option> elements that are no longer selected
+   * @private
+   */
+  _removeGeneratedOptions() {
+    const generated = this.$element.querySelectorAll(
+      'option[data-vs-generated="true"]',
+    );
+
+    generated.forEach((option) => {
+      if (!option.selected) {
+        option.remove();
+      }
+    });
+  }
+
+  /**
+   * Move selected <option> elements so their document order follows the
+   * selection order. Selected options only trade places with each other inside
+   * the same parent, so unselected options and optgroups stay where they are
+   * @private
+   */
+  _syncOptionOrder() {
+    const byValue = new Map();
+    this.$element.querySelectorAll("option").forEach((option) => {
+      const value = option.value;
+      if (!byValue.has(value)) {
+        byValue.set(value, option);
+      }
+    });
+
+    // Group the selected options by parent, in selection order
+    const groups = new Map();
+    this.selection.forEach((item) => {
+      const option = byValue.get(String(item.id));
+      if (!option) return;
+
+      if (!groups.has(option.parentNode)) {
+        groups.set(option.parentNode, []);
+      }
+      groups.get(option.parentNode).push(option);
+    });
+
+    groups.forEach((ordered, parent) => {
+      // Slots are the positions currently taken by the selected options
+      const slots = Array.from(parent.children).filter((child) =>
+        ordered.includes(child),
+      );
+      if (slots.every((slot, index) => slot === ordered[index])) return;
+
+      const markers = slots.map((slot) => {
+        const marker = document.createComment("");
+        parent.insertBefore(marker, slot);
+        return marker;
+      });
+
+      ordered.forEach((option, index) => {
+        parent.replaceChild(option, markers[index]);
+      });
+    });
+  }
+
   /**
    * Destroy the adapter
    */
   destroy() {
+    super.destroy();
+
+    if (this._observer) {
+      this._observer.disconnect();
+      this._observer = null;
+    }
+
+    // Drop the value/selectedIndex wrappers
+    this._interceptedProperties.forEach((property) => {
+      delete this.$element[property];
+    });
+    this._interceptedProperties = [];
+
+    if (this._observedForm && this._formResetHandler) {
+      this._observedForm.removeEventListener("reset", this._formResetHandler);
+      this._observedForm = null;
+      this._formResetHandler = null;
+    }
+
     this.data = [];
     this.selection = [];
+    this._loading = null;
   }
 }
 
@@ -24,6 +24,7 @@ class DropdownAdapter extends BaseAdapter {
     this._boundHandleResize = this._handleResize.bind(this);
     this._boundHandleScroll = this._handleScroll.bind(this);
     this._inputHandler = null;
+    this._pasteHandler = null;
     this._searchClickHandler = null;
   }
 
@@ -42,12 +43,23 @@ class DropdownAdapter extends BaseAdapter {
     // Add search box if searchable
     const searchable = this.options.get("searchable");
     if (searchable) {
-      this.searchBox = new SearchBox(this.options);
-      const searchBoxElement = this.searchBox.render();
-      dropdownElement.insertBefore(
-        searchBoxElement,
-        dropdownElement.firstChild,
+      // Inline search lives in the selection area, after the chips, and the
+      // dropdown only holds the results (multiple select only)
+      const inline = Boolean(
+        this.options.get("inlineSearch") && this.options.get("multiple"),
       );
+
+      this.searchBox = new SearchBox(this.options, { inline });
+      const searchBoxElement = this.searchBox.render();
+
+      if (inline) {
+        this.instance.selectionAdapter.setSearchBox(this.searchBox);
+      } else {
+        dropdownElement.insertBefore(
+          searchBoxElement,
+          dropdownElement.firstChild,
+        );
+      }
     }
 
     // Determine where to append dropdown
@@ -99,11 +111,11 @@ class DropdownAdapter extends BaseAdapter {
    */
   _bindEvents() {
     // Listen to open/close events
-    this.instance.on(EVENTS.OPENING, () => {
+    this.listen(EVENTS.OPENING, () => {
       this.open();
     });
 
-    this.instance.on(EVENTS.CLOSING, () => {
+    this.listen(EVENTS.CLOSING, () => {
       this.close();
     });
 
@@ -128,14 +140,60 @@ class DropdownAdapter extends BaseAdapter {
 
       // Emit query event on input - store handler reference for cleanup
       this._inputHandler = (e) => {
-        const term = e.target.value;
+        let term = e.target.value;
+
+        // Tags mode: typing a token separator turns the text before it into tags
+        const resultsAdapter = this.instance.resultsAdapter;
+        if (resultsAdapter && resultsAdapter.isTokenizing()) {
+          const rest = resultsAdapter.processTokens(term);
+          if (rest !== term) {
+            this.searchBox.setValue(rest);
+            term = rest;
+          }
+        }
+
+        // Typing in the inline search opens the dropdown
+        if (!this.isOpen() && this.isInlineSearch()) {
+          this.instance.open();
+        }
+
         queryHandler(term);
       };
       input.addEventListener("input", this._inputHandler);
 
+      // Pasting "a, b; c" in tags mode creates every token at once
+      this._pasteHandler = (e) => {
+        const resultsAdapter = this.instance.resultsAdapter;
+        if (!resultsAdapter || !resultsAdapter.isTokenizing()) return;
+
+        const clipboardData = e.clipboardData || window.clipboardData;
+        const pasted = clipboardData ? clipboardData.getData("text") : "";
+        if (!pasted) return;
+
+        const target = e.target;
+        const value =
+          target.value.slice(0, target.selectionStart) +
+          pasted +
+          target.value.slice(target.selectionEnd);
+
+        // Plain paste when the text holds a single token
+        if (resultsAdapter.tokenize(value).tokens.length === 0) return;
+
+        e.preventDefault();
+        const rest = resultsAdapter.processTokens(value, true);
+        this.searchBox.setValue(rest);
+        queryHandler(rest);
+      };
+      input.addEventListener("paste", this._pasteHandler);
+
       // Prevent dropdown close on search input click - store handler reference for cleanup
+      // (a click on the inline search opens the dropdown instead of toggling it)
       this._searchClickHandler = (e) => {
         e.stopPropagation();
+
+        if (this.isInlineSearch() && !this.isOpen()) {
+          this.instance.open();
+        }
       };
       input.addEventListener("click", this._searchClickHandler);
     }
@@ -212,8 +270,9 @@ class DropdownAdapter extends BaseAdapter {
     }
 
     // Update ARIA
-    if (this.anchorElement) {
-      this.anchorElement.setAttribute("aria-expanded", "true");
+    const combobox = this._getComboboxElement();
+    if (combobox) {
+      combobox.setAttribute("aria-expanded", "true");
     }
   }
 
@@ -232,16 +291,37 @@ class DropdownAdapter extends BaseAdapter {
     }
 
     // Update ARIA and restore focus
-    if (this.anchorElement) {
-      this.anchorElement.setAttribute("aria-expanded", "false");
+    const combobox = this._getComboboxElement();
+    if (combobox) {
+      combobox.setAttribute("aria-expanded", "false");
 
       // Always return focus to selection element when dropdown closes
       // This ensures consistent behavior between mouse and keyboard interactions
       // and allows Tab key to navigate to the next form field correctly
-      this.anchorElement.focus();
+      combobox.focus();
     }
   }
 
+  /**
+   * Check if the search input is rendered inline in the selection area
+   * @returns {boolean} True for inline search
+   */
+  isInlineSearch() {
+    return Boolean(this.searchBox && this.searchBox.inline);
+  }
+
+  /**
+   * Get the element acting as the combobox (focus target and aria-expanded)
+   * The inline search input takes this role from the selection element
+   * @returns {HTMLElement|null} Combobox element
+   * @private
+   */
+  _getComboboxElement() {
+    return this.isInlineSearch()
+      ? this.searchBox.getInput()
+      : this.anchorElement;
+  }
+
   /**
    * Check if dropdown is open
    * @returns {boolean} Is open
@@ -271,6 +351,8 @@ class DropdownAdapter extends BaseAdapter {
    * Destroy the adapter
    */
   destroy() {
+    super.destroy();
+
     // Properly remove event listeners to prevent memory leaks
     // Use the same bound references that were used in addEventListener
     document.removeEventListener("click", this._boundHandleOutsideClick);
@@ -285,6 +367,10 @@ class DropdownAdapter extends BaseAdapter {
           input.removeEventListener("input", this._inputHandler);
           this._inputHandler = null;
         }
+        if (this._pasteHandler) {
+          input.removeEventListener("paste", this._pasteHandler);
+          this._pasteHandler = null;
+        }
         if (this._searchClickHandler) {
           input.removeEventListener("click", this._searchClickHandler);
           this._searchClickHandler = null;
@@ -5,6 +5,7 @@
 
 import BaseAdapter from "./BaseAdapter.js";
 import ResultsList from "../components/ResultsList.js";
+import BulkActions from "../components/BulkActions.js";
 import SearchManager from "../managers/SearchManager.js";
 import { EVENTS } from "../constants/events.js";
 
@@ -12,17 +13,34 @@ class ResultsAdapter extends BaseAdapter {
   constructor(instance, options) {
     super(instance, options);
 
-    this.results = new ResultsList(options);
     this.searchManager = new SearchManager(options);
+    this.results = new ResultsList(options, this.searchManager, {
+      idPrefix: instance.id,
+      isSelected: (item) => this._isItemSelected(item),
+    });
     this.dataAdapter = null;
     this.dropdownAdapter = null;
     this.ajaxAdapter = null;
+
+    // "Select all" / "Clear all" controls (multiple select)
+    this.bulkActions =
+      options.get("bulkActions") && options.get("multiple")
+        ? new BulkActions(options)
+        : null;
+
     this.currentSearchTerm = "";
     this.currentPage = 1;
     this.hasMore = false;
     this.isLoadingMore = false;
     this.accumulatedResults = [];
     this.currentSearchToken = null; // Token to prevent race conditions
+    this._pendingTag = null; // Tag being saved through ajax.createTag
+
+    // Lazy mode: results wait for the first open (term typed meanwhile,
+    // pending data function)
+    this._deferred = false;
+    this._deferredTerm = "";
+    this._deferredLoad = null;
 
     // Store timeout references for proper cleanup
     this._loadMoreTimeout = null;
@@ -33,6 +51,7 @@ class ResultsAdapter extends BaseAdapter {
     this._clickHandler = null;
     this._mouseoverHandler = null;
     this._scrollHandler = null;
+    this._bulkClickHandler = null;
     this.resultsContainer = null;
   }
 
@@ -48,6 +67,11 @@ class ResultsAdapter extends BaseAdapter {
     this.dropdownAdapter = dropdownAdapter;
     this.ajaxAdapter = ajaxAdapter;
 
+    // Bulk controls go above the results
+    if (this.bulkActions) {
+      dropdownContainer.appendChild(this.bulkActions.render());
+    }
+
     // Render results component
     const resultsElement = this.results.render();
     dropdownContainer.appendChild(resultsElement);
@@ -55,8 +79,56 @@ class ResultsAdapter extends BaseAdapter {
     // Bind events
     this._bindEvents();
 
-    // Initial render
-    this.update();
+    // Initial render (lazy mode: on the first open)
+    this._deferred = dataAdapter.isLazy();
+    if (this._deferred) {
+      this.listen(EVENTS.OPENING, () => {
+        if (this._deferred) this._renderDeferred();
+      });
+    } else {
+      this.update();
+    }
+  }
+
+  /**
+   * Load the data if needed and render the results deferred by lazy mode
+   * @private
+   */
+  _renderDeferred() {
+    if (this._deferredLoad) return;
+
+    const loading = this.dataAdapter.load();
+    if (!loading) {
+      this._deferred = false;
+      this.update(this._deferredTerm);
+      return;
+    }
+
+    this._deferredLoad = loading;
+    this.showLoading();
+
+    loading.then(() => {
+      // Destroyed in the meantime
+      if (!this.resultsContainer) return;
+
+      this._deferredLoad = null;
+      this.hideLoading();
+
+      // The failure was reported with vs:dataError - offer to load again
+      const error = this.dataAdapter.loadError;
+      if (error) {
+        this.showError(error, () => {
+          this._renderDeferred();
+        });
+        return;
+      }
+
+      this._deferred = false;
+      this.update(this._deferredTerm);
+
+      // The checklist summary counts the loaded items
+      this.instance.selectionAdapter.update();
+    });
   }
 
   /**
@@ -68,15 +140,15 @@ class ResultsAdapter extends BaseAdapter {
     this.resultsContainer = resultsContainer;
 
     // Listen to AJAX events
-    this.instance.on(EVENTS.AJAX_LOADING, () => {
+    this.listen(EVENTS.AJAX_LOADING, () => {
       this.showLoading();
     });
 
-    this.instance.on(EVENTS.AJAX_SUCCESS, () => {
+    this.listen(EVENTS.AJAX_SUCCESS, () => {
       this.hideLoading();
     });
 
-    this.instance.on(EVENTS.AJAX_ERROR, (data) => {
+    this.listen(EVENTS.AJAX_ERROR, (data) => {
       this.hideLoading();
       this.showError(data.error);
     });
@@ -89,6 +161,20 @@ class ResultsAdapter extends BaseAdapter {
       const index = parseInt(resultEl.dataset.index, 10);
       const id = resultEl.dataset.id;
 
+      // Group rows (tree branches, selectable groups) - a branch whose items
+      // are all disabled can still be expanded
+      const rendered = this.results.flatResults[index];
+      if (this.results.isBranch(rendered)) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.activateGroup(
+          index,
+          e.target.closest(".vs-result__toggle") !== null ||
+            resultEl.classList.contains("vs-result--disabled"),
+        );
+        return;
+      }
+
       // Don't select disabled items
       if (resultEl.classList.contains("vs-result--disabled")) {
         e.preventDefault();
@@ -96,9 +182,11 @@ class ResultsAdapter extends BaseAdapter {
         return;
       }
 
-      // Find the item (search recursively in groups)
+      // Find the item (search recursively in groups), falling back to the
+      // rendered entry for items that are not part of the data (e.g., tags)
       const allResults = this.dataAdapter.query({ term: "" });
-      const item = this._findItemById(allResults, id);
+      const item =
+        this._findItemById(allResults, id) || this.results.flatResults[index];
 
       if (item) {
         // Prevent default to avoid any unwanted behavior
@@ -120,20 +208,47 @@ class ResultsAdapter extends BaseAdapter {
     resultsContainer.addEventListener("mouseover", this._mouseoverHandler);
 
     // Listen to data changes
-    this.instance.on(EVENTS.QUERY, (data) => {
+    this.listen(EVENTS.QUERY, (data) => {
       this.update(data.term);
     });
 
-    this.instance.on(EVENTS.SELECT, () => {
-      this.update();
+    // Checklist results stay as they are - only the checkboxes change
+    this.listen(EVENTS.SELECT, (data) => {
+      if (data.batch) return;
+      if (this.results.isChecklist()) {
+        this.results.redraw();
+      } else {
+        this.update();
+      }
     });
 
-    this.instance.on(EVENTS.UNSELECT, () => {
-      this.update();
+    this.listen(EVENTS.UNSELECT, (data) => {
+      if (data.batch) return;
+      if (this.results.isChecklist()) {
+        this.results.redraw();
+      } else {
+        this.update();
+      }
     });
 
+    // Batch changes keep the search, scroll position and highlight
+    this.listen(EVENTS.CHANGE, (data) => {
+      if (data && data.batch) this.results.redraw();
+    });
+
+    // Virtual lists are rendered while hidden - render the real viewport on open
+    if (this.options.get("virtualScroll")) {
+      this.listen(EVENTS.OPEN, () => {
+        this.results.refresh();
+      });
+    }
+
+    if (this.bulkActions) {
+      this._bindBulkActions();
+    }
+
     // Listen to selection limit reached
-    this.instance.on(EVENTS.SELECTION_LIMIT_REACHED, (data) => {
+    this.listen(EVENTS.SELECTION_LIMIT_REACHED, (data) => {
       this._showLimitMessage(data.message);
     });
 
@@ -146,6 +261,76 @@ class ResultsAdapter extends BaseAdapter {
     }
   }
 
+  /**
+   * Bind the "Select all" / "Clear all" controls
+   * @private
+   */
+  _bindBulkActions() {
+    this._bulkClickHandler = (e) => {
+      const button = e.target.closest("button");
+      if (!button || button.disabled) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+
+      if (button.classList.contains("vs-bulk-actions__select-all")) {
+        this.selectAllResults();
+      } else if (button.classList.contains("vs-bulk-actions__clear")) {
+        this.instance.unselectAll();
+      }
+
+      // Keep typing and keyboard navigation in the search box
+      if (this.dropdownAdapter && this.dropdownAdapter.searchBox) {
+        this.dropdownAdapter.searchBox.focus();
+      }
+    };
+    this.bulkActions
+      .getContainer()
+      .addEventListener("click", this._bulkClickHandler);
+
+    this.listen(EVENTS.RESULTS, () => {
+      this._updateBulkActions();
+    });
+
+    this.listen(EVENTS.CHANGE, () => {
+      this._updateBulkActions();
+    });
+
+    this.listen(EVENTS.CLEAR, () => {
+      this._updateBulkActions();
+    });
+  }
+
+  /**
+   * Enable the bulk controls that have something to do
+   * @private
+   */
+  _updateBulkActions() {
+    if (!this.bulkActions || !this.dataAdapter) return;
+
+    const items = this.results.getSelectableItems();
+
+    this.bulkActions.update({
+      searching: Boolean(
+        this.currentSearchTerm && this.currentSearchTerm.trim(),
+      ),
+      canSelect: items.some((item) => !this._isItemSelected(item)),
+      canClear: this.dataAdapter.current().length > 0,
+    });
+  }
+
+  /**
+   * Select every enabled item listed in the results
+   * While searching, these are the items matching the search; with AJAX,
+   * the pages loaded so far
+   * @returns {Array} Items added to the selection
+   */
+  selectAllResults() {
+    if (!this.dataAdapter || this.instance.isDisabled) return [];
+
+    return this.dataAdapter.selectMany(this.results.getSelectableItems());
+  }
+
   /**
    * Update results display
    * @param {string} term - Search term
@@ -153,6 +338,15 @@ class ResultsAdapter extends BaseAdapter {
   update(term = "") {
     if (!this.dataAdapter) return;
 
+    // Lazy mode: nothing is rendered before the first open
+    if (this._deferred) {
+      this._deferredTerm = term;
+      return;
+    }
+
+    // Plugins can rewrite the query
+    ({ term } = this.instance.pluginManager.query({ term }));
+
     // If AJAX adapter is configured, use it for remote data
     if (this.ajaxAdapter) {
       this._updateWithAjax(term);
@@ -175,39 +369,17 @@ class ResultsAdapter extends BaseAdapter {
     // Filter using SearchManager
     let filteredResults = this.searchManager.search(allData, term);
 
-    // Check if tagging is enabled
-    const tagsEnabled = this.options.get("tags");
-
-    // Add "create tag" option if enabled and term is not empty
-    if (tagsEnabled && term && term.trim()) {
-      const createTag = this.options.get("createTag");
-      const tag = createTag({ term: term.trim() });
-
-      if (tag) {
-        // Check if tag already exists in results
-        const tagExists = filteredResults.some(
-          (item) =>
-            String(item.id).toLowerCase() === String(tag.id).toLowerCase(),
-        );
-
-        if (!tagExists) {
-          const insertTag = this.options.get("insertTag");
-          // Create a copy to avoid mutating the original
-          filteredResults = [...filteredResults];
-          insertTag(filteredResults, tag);
-
-          // Mark as tag for special rendering
-          tag._isTag = true;
-        }
-      }
-    }
+    // Add "create tag" option if tagging is enabled
+    filteredResults = this._insertTagResult(filteredResults, term);
 
     // Update results list
-    this.results.update(filteredResults);
+    this.results.update(filteredResults, {
+      searching: Boolean(term && term.trim()),
+    });
 
     // Auto-highlight selected item if exists, otherwise first non-disabled item
     if (filteredResults && filteredResults.length > 0) {
-      this._autoHighlightSelectedOrFirst(filteredResults);
+      this._autoHighlightSelectedOrFirst();
     }
 
     // Emit results event for accessibility announcements
@@ -245,7 +417,21 @@ class ResultsAdapter extends BaseAdapter {
           return;
         }
 
-        const { results, pagination } = response;
+        const { results, pagination, error } = response;
+
+        // Offer to run the query again. A failed next page keeps the
+        // results loaded so far, a failed search does not list stale ones
+        if (error) {
+          this.hasMore = false;
+          if (!append) {
+            this.accumulatedResults = [];
+            this.results.clear();
+          }
+          this.showError(error, () => {
+            this._updateWithAjax(term, append);
+          });
+          return;
+        }
 
         // Update pagination state
         this.hasMore = pagination && pagination.more ? true : false;
@@ -257,24 +443,29 @@ class ResultsAdapter extends BaseAdapter {
           this.accumulatedResults = results;
         }
 
-        // Update DataAdapter with all accumulated results (for selection tracking)
-        this.dataAdapter.setData(this.accumulatedResults);
+        // Add "create tag" option if tagging is enabled (not persisted across pages)
+        const displayResults = this._insertTagResult(
+          this.accumulatedResults,
+          term,
+        );
+
+        // Update DataAdapter with all displayed results (for selection tracking)
+        this.dataAdapter.setData(displayResults);
 
-        // Update results list
-        this.results.update(this.accumulatedResults);
+        // Update results list (keep scroll position when appending a page)
+        this.results.update(displayResults, {
+          keepScroll: append,
+          searching: Boolean(term && term.trim()),
+        });
 
         // Auto-highlight selected item if exists, otherwise first non-disabled item
-        if (
-          this.accumulatedResults &&
-          this.accumulatedResults.length > 0 &&
-          !append
-        ) {
-          this._autoHighlightSelectedOrFirst(this.accumulatedResults);
+        if (displayResults && displayResults.length > 0 && !append) {
+          this._autoHighlightSelectedOrFirst();
         }
 
         // Emit results event for accessibility announcements
         this.instance.emit(EVENTS.RESULTS, {
-          results: this.accumulatedResults,
+          results: displayResults,
         });
       })
       .catch((error) => {
@@ -291,6 +482,60 @@ class ResultsAdapter extends BaseAdapter {
       });
   }
 
+  /**
+   * Insert a "create tag" entry for the term into results (tags mode)
+   * Skipped when an item with the same id or text is already in the results
+   * @param {Array} results - Results (local matches or the AJAX page)
+   * @param {string} term - Search term
+   * @returns {Array} Results, copied if a tag was inserted
+   * @private
+   */
+  _insertTagResult(results, term) {
+    if (!this.options.get("tags") || !term || !term.trim()) {
+      return results;
+    }
+
+    const createTag = this.options.get("createTag");
+    const tag = createTag({ term: term.trim() });
+
+    if (!tag || this._tagExists(results, tag)) {
+      return results;
+    }
+
+    const insertTag = this.options.get("insertTag");
+    // Create a copy to avoid mutating the original
+    const withTag = [...results];
+    insertTag(withTag, tag);
+
+    // Mark as tag for special rendering
+    tag._isTag = true;
+
+    return withTag;
+  }
+
+  /**
+   * Check if a tag duplicates an item in the results (case-insensitive)
+   * @param {Array} items - Items to check (may contain groups)
+   * @param {Object} tag - Tag to look for
+   * @returns {boolean} True if an item with the same id or text exists
+   * @private
+   */
+  _tagExists(items, tag) {
+    const tagId = String(tag.id).toLowerCase();
+    const tagText = String(tag.text).toLowerCase();
+
+    return items.some((item) => {
+      if (item.children && Array.isArray(item.children)) {
+        return this._tagExists(item.children, tag);
+      }
+
+      return (
+        String(item.id).toLowerCase() === tagId ||
+        String(item.text).toLowerCase() === tagText
+      );
+    });
+  }
+
   /**
    * Handle scroll event for infinite scroll
    * @private
@@ -407,135 +652,155 @@ class ResultsAdapter extends BaseAdapter {
     return null;
   }
 
+  /**
+   * Check if an item is part of the current selection
+   * @param {Object} item - Result item
+   * @returns {boolean} True if selected
+   * @private
+   */
+  _isItemSelected(item) {
+    if (!this.dataAdapter) return false;
+
+    return this.dataAdapter
+      .current()
+      .some((selected) => String(selected.id) === String(item.id));
+  }
+
   /**
    * Auto-highlight selected item if exists, otherwise first non-disabled item
-   * @param {Array} results - Filtered results
    * @private
    */
-  _autoHighlightSelectedOrFirst(results) {
+  _autoHighlightSelectedOrFirst() {
     // Try to highlight the currently selected item first
     if (this.dataAdapter) {
       const currentSelection = this.dataAdapter.current();
-      
+
       // If there's a selection, try to find and highlight it
       if (currentSelection && currentSelection.length > 0) {
         const selectedItem = currentSelection[0]; // Use first selected item
-        const flatIndex = this._findFlatIndexOfItem(results, selectedItem.id);
-        
+        const flatIndex = this._findFlatIndexOfItem(selectedItem.id);
+
         if (flatIndex !== -1) {
-          this.results.highlight(flatIndex);
-          
-          // Update ARIA activedescendant
-          if (this.instance.accessibilityManager) {
-            this.instance.accessibilityManager.updateActiveDescendant(flatIndex);
-          }
+          this._highlightIndex(flatIndex);
           return; // Successfully highlighted selected item
         }
       }
     }
-    
+
     // No selection or selected item not found - highlight first non-disabled item
-    this._autoHighlightFirst(results);
+    this._autoHighlightFirst();
   }
 
   /**
-   * Find the flat index of an item by ID in results (including groups)
-   * @param {Array} results - Results array (may contain groups)
+   * Find the flat index of an item by ID in the rendered results
+   * Covers nested groups; children of collapsed tree branches are not rendered
    * @param {string|number} itemId - Item ID to find
    * @returns {number} Flat index or -1 if not found
    * @private
    */
-  _findFlatIndexOfItem(results, itemId) {
-    let flatIndex = 0;
-    
-    for (let i = 0; i < results.length; i++) {
-      const item = results[i];
-      
-      // Check if it's a group
-      if (item.children && Array.isArray(item.children)) {
-        // Search in group children
-        for (let j = 0; j < item.children.length; j++) {
-          if (String(item.children[j].id) === String(itemId)) {
-            return flatIndex;
-          }
-          flatIndex++;
-        }
-      } else {
-        // Regular item - check if it matches
-        if (String(item.id) === String(itemId)) {
-          return flatIndex;
-        }
-        flatIndex++;
-      }
-    }
-    
-    return -1; // Not found
+  _findFlatIndexOfItem(itemId) {
+    return this.results.flatResults.findIndex(
+      (item) =>
+        !this.results.isBranch(item) && String(item.id) === String(itemId),
+    );
   }
 
   /**
    * Auto-highlight first non-disabled item
-   * @param {Array} results - Filtered results
+   * Selectable items are preferred over tree branches
    * @private
    */
-  _autoHighlightFirst(results) {
-    // Find first non-disabled item
-    for (let i = 0; i < results.length; i++) {
-      const item = results[i];
+  _autoHighlightFirst() {
+    const flatResults = this.results.flatResults;
 
-      // Skip groups - look into children
-      if (item.children && Array.isArray(item.children)) {
-        // For groups, find first non-disabled child
-        for (let j = 0; j < item.children.length; j++) {
-          if (!item.children[j].disabled) {
-            // Calculate the actual index in the flattened results
-            const flatIndex = this._getFlatIndexForGroupChild(results, i, j);
-            this.results.highlight(flatIndex);
-
-            // Update ARIA activedescendant
-            if (this.instance.accessibilityManager) {
-              this.instance.accessibilityManager.updateActiveDescendant(
-                flatIndex,
-              );
-            }
-            return;
-          }
-        }
-      } else {
-        // Regular item - highlight if not disabled
-        if (!item.disabled) {
-          this.results.highlight(i);
+    let flatIndex = flatResults.findIndex(
+      (item) => !item.disabled && !this.results.isBranch(item),
+    );
+    if (flatIndex === -1) {
+      flatIndex = flatResults.findIndex((item) => !item.disabled);
+    }
 
-          // Update ARIA activedescendant
-          if (this.instance.accessibilityManager) {
-            this.instance.accessibilityManager.updateActiveDescendant(i);
-          }
-          return;
-        }
-      }
+    if (flatIndex !== -1) {
+      this._highlightIndex(flatIndex);
     }
   }
 
   /**
-   * Get flat index for a child within a group
-   * @param {Array} results - All results
-   * @param {number} groupIndex - Group index
-   * @param {number} childIndex - Child index within group
-   * @returns {number} Flat index
+   * Highlight a result and point aria-activedescendant at it
+   * @param {number} flatIndex - Flat index
    * @private
    */
-  _getFlatIndexForGroupChild(results, groupIndex, childIndex) {
-    let flatIndex = 0;
+  _highlightIndex(flatIndex) {
+    this.results.highlight(flatIndex);
 
-    for (let i = 0; i < groupIndex; i++) {
-      if (results[i].children) {
-        flatIndex += results[i].children.length;
-      } else {
-        flatIndex++;
-      }
+    // Update ARIA activedescendant
+    if (this.instance.accessibilityManager) {
+      this.instance.accessibilityManager.updateActiveDescendant(flatIndex);
     }
+  }
 
-    flatIndex += childIndex;
-    return flatIndex;
+  /**
+   * Expand or collapse a tree branch
+   * @param {number} flatIndex - Flat index of the branch
+   * @param {boolean} [expanded] - True to expand, false to collapse (toggles when omitted)
+   * @returns {boolean} True if the branch changed state
+   */
+  toggleBranch(flatIndex, expanded) {
+    const item = this.results.flatResults[flatIndex];
+    if (!item) return false;
+
+    const next =
+      expanded === undefined ? !this.results.isExpanded(item) : expanded;
+
+    if (!this.results.setExpanded(flatIndex, next)) {
+      return false;
+    }
+
+    // The branch stays highlighted after re-rendering
+    if (this.instance.accessibilityManager) {
+      this.instance.accessibilityManager.updateActiveDescendant(flatIndex);
+    }
+    return true;
+  }
+
+  /**
+   * Activate a group row
+   * Selectable groups select or unselect their items, tree branches expand
+   * or collapse
+   * @param {number} flatIndex - Flat index of the group row
+   * @param {boolean} [toggleOnly=false] - Only expand or collapse the branch
+   */
+  activateGroup(flatIndex, toggleOnly = false) {
+    const group = this.results.flatResults[flatIndex];
+    if (!this.results.isBranch(group)) return;
+
+    if (this.results.isGroupSelectable() && !toggleOnly) {
+      this.toggleGroup(group);
+    } else if (this.results.isTree()) {
+      this.toggleBranch(flatIndex);
+    }
+  }
+
+  /**
+   * Select every enabled item of a group, or unselect them all if they are
+   * all selected already
+   * Uses the items shown in the results, so while searching only the
+   * matching items are affected
+   * @param {Object} group - Group (as rendered in the results)
+   * @returns {boolean} True if the selection changed
+   */
+  toggleGroup(group) {
+    if (!this.dataAdapter || this.instance.isDisabled) return false;
+
+    const items = this.results.getGroupItems(group);
+    if (items.length === 0) return false;
+
+    const changed =
+      this.results.getGroupState(group) === "true"
+        ? this.dataAdapter.unselectMany(items)
+        : this.dataAdapter.selectMany(items);
+
+    return changed.length > 0;
   }
 
   /**
@@ -545,6 +810,18 @@ class ResultsAdapter extends BaseAdapter {
   selectItem(item) {
     if (!this.dataAdapter) return;
 
+    // Remote tags are saved first so the selection uses the server-assigned id
+    if (item._isTag && this.ajaxAdapter && this.ajaxAdapter.canCreateTag()) {
+      this._createRemoteTag(item);
+      return;
+    }
+
+    // Checklist: toggle the item, keeping the search and scroll position
+    if (this.results.isChecklist()) {
+      this._toggleItem(item);
+      return;
+    }
+
     // Try to select the item - returns false if limit reached or already selected
     const selectionSuccess = this.dataAdapter.select(item);
 
@@ -589,6 +866,305 @@ class ResultsAdapter extends BaseAdapter {
     }
   }
 
+  /**
+   * Select or unselect an item (checklist mode)
+   * @param {Object} item - Item to toggle
+   * @private
+   */
+  _toggleItem(item) {
+    const selected = this.dataAdapter
+      .current()
+      .find((current) => String(current.id) === String(item.id));
+
+    if (selected) {
+      this.dataAdapter.unselect(selected);
+    } else {
+      this.dataAdapter.select(item);
+    }
+
+    // Re-focus search input so typing and keyboard navigation continue
+    if (this.dropdownAdapter && this.dropdownAdapter.searchBox) {
+      setTimeout(() => {
+        this.dropdownAdapter.searchBox.focus();
+      }, 10);
+    }
+  }
+
+  /**
+   * Save a new tag through ajax.createTag and select the saved item
+   * @param {Object} tag - Tag built by createTag
+   * @private
+   */
+  _createRemoteTag(tag) {
+    // Ignore repeated clicks while the tag is being saved
+    if (this._pendingTag) return;
+    this._pendingTag = tag;
+
+    this.ajaxAdapter
+      .createTag(tag, { term: this.currentSearchTerm })
+      .then((savedTag) => {
+        this._pendingTag = null;
+        if (savedTag && this.dataAdapter) {
+          this.selectItem(savedTag);
+        }
+      });
+  }
+
+  /**
+   * Check if typed/pasted text should be split into tags
+   * Tokenizing requires tags mode, multiple mode and a separator or tokenizer
+   * @returns {boolean} True if tokenizing is enabled
+   */
+  isTokenizing() {
+    if (!this.options.get("tags") || !this.options.get("multiple")) {
+      return false;
+    }
+
+    const separators = this.options.get("tokenSeparators");
+    const tokenizer = this.options.get("tokenizer");
+    return (
+      typeof tokenizer === "function" ||
+      (Array.isArray(separators) && separators.length > 0)
+    );
+  }
+
+  /**
+   * Split a term into complete tokens and the text still being typed
+   * @param {string} term - Current search text
+   * @param {boolean} final - Treat the trailing text as a complete token (e.g., on paste)
+   * @returns {{tokens: string[], term: string}} Complete tokens and remaining term
+   */
+  tokenize(term, final = false) {
+    const separators = this.options.get("tokenSeparators") || [];
+    const tokenizer = this.options.get("tokenizer");
+
+    if (typeof tokenizer === "function") {
+      const result = tokenizer({ term, separators, final }) || {};
+      return {
+        tokens: Array.isArray(result.tokens) ? result.tokens : [],
+        term: typeof result.term === "string" ? result.term : "",
+      };
+    }
+
+    if (separators.length === 0) {
+      return { tokens: [], term };
+    }
+
+    const pattern = new RegExp(
+      separators
+        .map((separator) =>
+          separator.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+        )
+        .join("|"),
+    );
+    const parts = term.split(pattern);
+    const rest = final ? "" : parts.pop().replace(/^\s+/, "");
+
+    return {
+      tokens: parts.map((part) => part.trim()).filter((part) => part !== ""),
+      term: rest,
+    };
+  }
+
+  /**
+   * Tokenize the search text and select/create an item for each token
+   * @param {string} term - Current search text
+   * @param {boolean} final - Treat the trailing text as a complete token
+   * @returns {string} Remaining text to keep in the search box
+   */
+  processTokens(term, final = false) {
+    if (!this.isTokenizing()) {
+      return term;
+    }
+
+    const { tokens, term: rest } = this.tokenize(term, final);
+    if (tokens.length > 0) {
+      this.addTokens(tokens);
+    }
+
+    return rest;
+  }
+
+  /**
+   * Select an existing item or create a tag for each token
+   * Tags go through createTag/insertTag and respect maximumSelectionLength.
+   * With AJAX, tokens are matched against the loaded results and the
+   * selection, and new tags are saved through ajax.createTag when it is set.
+   * Emits vs:tokenize with the added items and the rejected tokens, after
+   * the remote tags are saved
+   * @param {string[]} tokens - Tokens to add
+   * @returns {Promise<{added: Object[], rejected: Array<{token: string, reason: string}>}>} Outcome
+   */
+  addTokens(tokens) {
+    const added = [];
+    const rejected = [];
+    const saving = [];
+    const createTag = this.options.get("createTag");
+    const insertTag = this.options.get("insertTag");
+    const maximumSelectionLength = this.options.get("maximumSelectionLength");
+    const remote = Boolean(this.ajaxAdapter);
+    const saveRemotely = remote && this.ajaxAdapter.canCreateTag();
+
+    // Remote items aren't in the local data: match the last results page
+    // and the selection instead
+    const data = remote
+      ? [...this.accumulatedResults, ...this.dataAdapter.current()]
+      : [...this.dataAdapter.query({ term: "" })];
+    const newTags = [];
+    const pendingTags = [];
+    let limitReached = false;
+
+    tokens.forEach((token) => {
+      const term = String(token).trim();
+      if (!term) return;
+
+      if (limitReached) {
+        rejected.push({ token: term, reason: "limit" });
+        return;
+      }
+
+      // Reuse an existing option when the token matches its id or text
+      let item = this._findItemByTerm(data, term);
+      let isNewTag = false;
+
+      if (!item) {
+        item = createTag({ term });
+        if (!item) {
+          rejected.push({ token: term, reason: "invalid" });
+          return;
+        }
+        isNewTag = true;
+      } else if (item.disabled) {
+        rejected.push({ token: term, reason: "disabled" });
+        return;
+      }
+
+      if (
+        this._isItemSelected(item) ||
+        this._findItemByTerm(pendingTags, term)
+      ) {
+        rejected.push({ token: term, reason: "duplicate" });
+        return;
+      }
+
+      if (isNewTag && saveRemotely) {
+        limitReached =
+          maximumSelectionLength > 0 &&
+          this.dataAdapter.current().length + saving.length >=
+            maximumSelectionLength;
+        if (limitReached) {
+          rejected.push({ token: term, reason: "limit" });
+          return;
+        }
+
+        pendingTags.push(item);
+        saving.push(
+          this.ajaxAdapter
+            .createTag(item, { term })
+            .then((savedTag) => this._selectSavedTag(savedTag, term)),
+        );
+        return;
+      }
+
+      if (!this.dataAdapter.select(item)) {
+        // select() only fails here when the selection limit is reached
+        limitReached =
+          maximumSelectionLength > 0 &&
+          this.dataAdapter.current().length >= maximumSelectionLength;
+        rejected.push({
+          token: term,
+          reason: limitReached ? "limit" : "invalid",
+        });
+        return;
+      }
+
+      if (isNewTag) {
+        insertTag(data, item);
+        newTags.push(item);
+      }
+      added.push(item);
+    });
+
+    // Keep created tags available as options for later searches
+    if (newTags.length > 0 && !remote) {
+      this.dataAdapter.setData(data);
+    }
+
+    const finish = () => {
+      const detail = { added, rejected };
+      this.emit(EVENTS.TOKENIZE, detail);
+      this.trigger(this.$element, EVENTS.TOKENIZE, detail);
+      return detail;
+    };
+
+    // Without tags to save, the event fires right away
+    if (saving.length === 0) {
+      return Promise.resolve(finish());
+    }
+
+    return Promise.all(saving).then((outcomes) => {
+      outcomes.forEach((outcome) => {
+        if (outcome.item) {
+          added.push(outcome.item);
+        } else {
+          rejected.push(outcome.rejected);
+        }
+      });
+      return finish();
+    });
+  }
+
+  /**
+   * Select a tag returned by ajax.createTag for a token
+   * @param {Object|null} savedTag - Saved item, or null if it was refused
+   * @param {string} term - Token the tag was created for
+   * @returns {{item: Object}|{rejected: {token: string, reason: string}}} Outcome
+   * @private
+   */
+  _selectSavedTag(savedTag, term) {
+    if (!savedTag || !this.dataAdapter) {
+      return { rejected: { token: term, reason: "invalid" } };
+    }
+
+    // The server may answer with an item that is already selected
+    if (this._isItemSelected(savedTag)) {
+      return { rejected: { token: term, reason: "duplicate" } };
+    }
+
+    if (!this.dataAdapter.select(savedTag)) {
+      return { rejected: { token: term, reason: "limit" } };
+    }
+
+    return { item: savedTag };
+  }
+
+  /**
+   * Find an item whose id or text equals a term (case-insensitive)
+   * @param {Array} items - Items to search (may contain groups)
+   * @param {string} term - Term to look for
+   * @returns {Object|null} Found item or null
+   * @private
+   */
+  _findItemByTerm(items, term) {
+    const normalized = term.toLowerCase();
+
+    for (const item of items) {
+      if (item.children && Array.isArray(item.children)) {
+        const found = this._findItemByTerm(item.children, term);
+        if (found) {
+          return found;
+        }
+      } else if (
+        String(item.id).toLowerCase() === normalized ||
+        String(item.text).toLowerCase() === normalized
+      ) {
+        return item;
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Clear results
    */
@@ -674,9 +1250,12 @@ class ResultsAdapter extends BaseAdapter {
 
   /**
    * Show error message
+   * With a retry callback the message gets a "Retry" button and stays until
+   * it is used or the results change, otherwise it goes away after 5 seconds
    * @param {Error} error - Error object
+   * @param {Function} [retry] - Called when the "Retry" button is clicked
    */
-  showError(error) {
+  showError(error, retry = null) {
     const resultsContainer = this.results.getContainer();
     if (!resultsContainer) return;
 
@@ -704,6 +1283,27 @@ class ResultsAdapter extends BaseAdapter {
 
     resultsContainer.appendChild(errorEl);
 
+    if (retry) {
+      const retryButton = document.createElement("button");
+      retryButton.type = "button";
+      retryButton.className = "vs-results__retry";
+      retryButton.textContent = language.retry || "Retry";
+      retryButton.addEventListener("click", (e) => {
+        // Keep the click away from the result click handler
+        e.preventDefault();
+        e.stopPropagation();
+        errorEl.remove();
+        retry();
+
+        // Keep typing and keyboard navigation in the search box
+        if (this.dropdownAdapter && this.dropdownAdapter.searchBox) {
+          this.dropdownAdapter.searchBox.focus();
+        }
+      });
+      errorEl.appendChild(retryButton);
+      return;
+    }
+
     // Auto-remove after 5 seconds
     this._errorMessageTimeout = setTimeout(() => {
       if (errorEl.parentNode) {
@@ -717,6 +1317,8 @@ class ResultsAdapter extends BaseAdapter {
    * Destroy the adapter
    */
   destroy() {
+    super.destroy();
+
     // Clear all pending timeouts to prevent memory leaks and errors
     if (this._loadMoreTimeout) {
       clearTimeout(this._loadMoreTimeout);
@@ -759,6 +1361,16 @@ class ResultsAdapter extends BaseAdapter {
       this.resultsContainer = null;
     }
 
+    if (this.bulkActions) {
+      if (this._bulkClickHandler) {
+        this.bulkActions
+          .getContainer()
+          .removeEventListener("click", this._bulkClickHandler);
+        this._bulkClickHandler = null;
+      }
+      this.bulkActions.destroy();
+    }
+
     this.results.destroy();
   }
 }
@@ -6,19 +6,35 @@
 import BaseAdapter from "./BaseAdapter.js";
 import Selection from "../components/Selection.js";
 import { EVENTS } from "../constants/events.js";
+import { KEYS } from "../constants/keys.js";
+
+// Pointer travel (px) before a press on a chip becomes a drag
+const DRAG_THRESHOLD = 5;
 
 class SelectionAdapter extends BaseAdapter {
   constructor(instance, options) {
     super(instance, options);
 
-    this.selection = new Selection(options);
+    this.selection = new Selection(options, { idPrefix: instance.id });
     this.dataAdapter = null;
 
     // Store event handler references for proper cleanup
     this._toggleClickHandler = null;
     this._clearClickHandler = null;
     this._removeClickHandler = null;
+    this._pointerDownHandler = null;
+    this._pointerMoveHandler = null;
+    this._pointerUpHandler = null;
+    this._sortClickHandler = null;
+    this._sortKeydownHandler = null;
+    this._moreClickHandler = null;
+    this._moreKeydownHandler = null;
+    this._documentClickHandler = null;
     this.selectionContainer = null;
+
+    // Drag state for sortable chips
+    this._drag = null;
+    this._suppressClick = false;
   }
 
   /**
@@ -51,10 +67,12 @@ class SelectionAdapter extends BaseAdapter {
 
     // Click to open dropdown - store handler reference for cleanup
     this._toggleClickHandler = (e) => {
-      // Don't open if clicking on remove button or clear button
+      // Don't open if clicking on remove button, clear button or the
+      // hidden chips badge and popover
       if (
         e.target.classList.contains("vs-selection__choice__remove") ||
-        e.target.classList.contains("vs-selection__clear")
+        e.target.classList.contains("vs-selection__clear") ||
+        e.target.closest(".vs-selection__more, .vs-selection__popover")
       ) {
         return;
       }
@@ -82,33 +100,448 @@ class SelectionAdapter extends BaseAdapter {
     // Handle remove button clicks (for multiple select) - store handler reference for cleanup
     this._removeClickHandler = (e) => {
       if (e.target.classList.contains("vs-selection__choice__remove")) {
-        const id = e.target.dataset.id;
-        const item = this.dataAdapter.current().find((item) => item.id === id);
-
-        if (item) {
-          this.dataAdapter.unselect(item);
-          this.update();
-        }
-
+        this.removeChoice(e.target.dataset.id);
         e.stopPropagation();
       }
     };
     selectionContainer.addEventListener("click", this._removeClickHandler);
 
-    // Listen to selection changes
-    this.instance.on(EVENTS.SELECT, () => {
-      this.update();
+    if (this.selection.isSortable()) {
+      this._bindSortEvents();
+    }
+
+    // "+N more" badge of collapsed chips (maxVisibleChips)
+    this._moreClickHandler = (e) => {
+      if (e.target.closest(".vs-selection__more")) {
+        this.togglePopover();
+      }
+    };
+    selectionContainer.addEventListener("click", this._moreClickHandler);
+
+    this._moreKeydownHandler = (e) => {
+      this._onMoreKeydown(e);
+    };
+    selectionContainer.addEventListener("keydown", this._moreKeydownHandler);
+
+    // Listen to selection changes - batches render once, on change
+    this.listen(EVENTS.SELECT, (data) => {
+      if (!data.batch) this.update();
     });
 
-    this.instance.on(EVENTS.UNSELECT, () => {
+    this.listen(EVENTS.UNSELECT, (data) => {
+      if (!data.batch) this.update();
+    });
+
+    this.listen(EVENTS.CHANGE, (data) => {
+      if (data && data.batch) this.update();
+    });
+
+    this.listen(EVENTS.CLEAR, () => {
       this.update();
     });
 
-    this.instance.on(EVENTS.CLEAR, () => {
+    this.listen(EVENTS.REORDER, () => {
       this.update();
     });
   }
 
+  /**
+   * Bind drag-and-drop (mouse and touch) and keyboard reordering of chips
+   * @private
+   */
+  _bindSortEvents() {
+    const selectionContainer = this.selectionContainer;
+
+    this._pointerDownHandler = (e) => {
+      this._onPointerDown(e);
+    };
+    selectionContainer.addEventListener(
+      "pointerdown",
+      this._pointerDownHandler,
+    );
+
+    // Added to the document while a chip is pressed
+    this._pointerMoveHandler = (e) => {
+      this._onPointerMove(e);
+    };
+    this._pointerUpHandler = (e) => {
+      this._onPointerUp(e);
+    };
+
+    // The click that ends a drag must not toggle the dropdown (capture phase
+    // runs before the toggle handler)
+    this._sortClickHandler = (e) => {
+      if (this._suppressClick) {
+        this._suppressClick = false;
+        e.stopImmediatePropagation();
+      }
+    };
+    selectionContainer.addEventListener("click", this._sortClickHandler, true);
+
+    this._sortKeydownHandler = (e) => {
+      this._onSortKeydown(e);
+    };
+    selectionContainer.addEventListener("keydown", this._sortKeydownHandler);
+  }
+
+  /**
+   * Start tracking a press on a chip
+   * @param {PointerEvent} e - Pointer event
+   * @private
+   */
+  _onPointerDown(e) {
+    this._suppressClick = false;
+
+    if (e.button !== 0 || this.instance.isDisabled) return;
+    if (e.target.classList.contains("vs-selection__choice__remove")) return;
+
+    const choice = e.target.closest(".vs-selection__choice");
+    if (!choice) return;
+
+    this._drag = {
+      choice,
+      startX: e.clientX,
+      startY: e.clientY,
+      active: false,
+    };
+
+    document.addEventListener("pointermove", this._pointerMoveHandler);
+    document.addEventListener("pointerup", this._pointerUpHandler);
+    document.addEventListener("pointercancel", this._pointerUpHandler);
+  }
+
+  /**
+   * Move the pressed chip under the pointer once the drag threshold is passed
+   * @param {PointerEvent} e - Pointer event
+   * @private
+   */
+  _onPointerMove(e) {
+    const drag = this._drag;
+    if (!drag) return;
+
+    if (!drag.active) {
+      const distance =
+        Math.abs(e.clientX - drag.startX) + Math.abs(e.clientY - drag.startY);
+      if (distance < DRAG_THRESHOLD) return;
+
+      drag.active = true;
+      drag.choice.classList.add("vs-selection__choice--dragging");
+      this.selectionContainer.classList.add("vs-selection--sorting");
+    }
+
+    e.preventDefault();
+
+    const target = this._getDropTarget(e.clientX, e.clientY, drag.choice);
+    if (target) {
+      const list = drag.choice.parentNode;
+      list.insertBefore(
+        drag.choice,
+        target.after ? target.choice.nextSibling : target.choice,
+      );
+    }
+  }
+
+  /**
+   * Finish a drag and commit the new order
+   * @param {PointerEvent} e - Pointer event
+   * @private
+   */
+  _onPointerUp(e) {
+    const drag = this._drag;
+    this._endDrag();
+
+    if (!drag || !drag.active) return;
+
+    if (e.type === "pointercancel") {
+      // Restore the previous order
+      this.update();
+      return;
+    }
+
+    this._suppressClick = true;
+
+    const ids = this.selection.getChoices().map((choice) => choice.dataset.id);
+
+    if (this.dataAdapter.reorder(ids)) {
+      this._announceMove(drag.choice.dataset.id);
+    } else {
+      this.update();
+    }
+  }
+
+  /**
+   * Stop tracking the pointer and reset drag styles
+   * @private
+   */
+  _endDrag() {
+    if (this._drag) {
+      this._drag.choice.classList.remove("vs-selection__choice--dragging");
+      this._drag = null;
+    }
+
+    if (this.selectionContainer) {
+      this.selectionContainer.classList.remove("vs-selection--sorting");
+    }
+
+    document.removeEventListener("pointermove", this._pointerMoveHandler);
+    document.removeEventListener("pointerup", this._pointerUpHandler);
+    document.removeEventListener("pointercancel", this._pointerUpHandler);
+  }
+
+  /**
+   * Find the chip under the pointer and which side of it to drop on
+   * @param {number} x - Pointer clientX
+   * @param {number} y - Pointer clientY
+   * @param {HTMLElement} dragged - Chip being dragged
+   * @returns {{choice: HTMLElement, after: boolean}|null} Drop target
+   * @private
+   */
+  _getDropTarget(x, y, dragged) {
+    for (const choice of this.selection.getChoices()) {
+      if (choice === dragged) continue;
+
+      const rect = choice.getBoundingClientRect();
+      if (
+        x >= rect.left &&
+        x <= rect.right &&
+        y >= rect.top &&
+        y <= rect.bottom
+      ) {
+        return { choice, after: x > rect.left + rect.width / 2 };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Move the focused chip with Alt+Arrow keys
+   * @param {KeyboardEvent} e - Keyboard event
+   * @private
+   */
+  _onSortKeydown(e) {
+    if (!e.altKey || this.instance.isDisabled) return;
+
+    const choice = e.target.closest(".vs-selection__choice");
+    if (!choice) return;
+
+    const key = e.which || e.keyCode;
+    let offset = 0;
+    if (key === KEYS.LEFT || key === KEYS.UP) {
+      offset = -1;
+    } else if (key === KEYS.RIGHT || key === KEYS.DOWN) {
+      offset = 1;
+    }
+    if (offset === 0) return;
+
+    // Keep KeyboardManager from opening the dropdown
+    e.preventDefault();
+
+    const id = choice.dataset.id;
+    if (this.moveItem(id, offset)) {
+      this.selection.focusChoice(id);
+      this._announceMove(id);
+    }
+  }
+
+  /**
+   * Handle keys on the "+N more" badge and in its popover
+   * Enter/Space open the popover or remove the focused item, Up/Down move
+   * between items and Escape closes the popover
+   * @param {KeyboardEvent} e - Keyboard event
+   * @private
+   */
+  _onMoreKeydown(e) {
+    const badge = e.target.closest(".vs-selection__more");
+    const remove = e.target.closest(".vs-selection__popover button");
+    if (!badge && !remove) return;
+
+    const key = e.which || e.keyCode;
+    if (key === KEYS.TAB) return;
+
+    // Keep KeyboardManager from opening the dropdown
+    e.preventDefault();
+
+    const buttons = this.selection.getPopoverButtons();
+    const position = buttons.indexOf(remove);
+
+    switch (key) {
+      case KEYS.ENTER:
+      case KEYS.SPACE:
+        if (badge) {
+          this.togglePopover();
+          this._focusPopoverItem(0);
+        } else {
+          this.removeChoice(remove.dataset.id);
+          this._focusPopoverItem(position);
+        }
+        break;
+
+      case KEYS.DELETE:
+      case KEYS.BACKSPACE:
+        if (remove) {
+          this.removeChoice(remove.dataset.id);
+          this._focusPopoverItem(position);
+        }
+        break;
+
+      case KEYS.DOWN:
+      case KEYS.UP:
+        if (remove) {
+          this._focusPopoverItem(position + (key === KEYS.DOWN ? 1 : -1));
+        } else if (key === KEYS.DOWN) {
+          this.togglePopover(true);
+          this._focusPopoverItem(0);
+        }
+        break;
+
+      case KEYS.ESC:
+        this.togglePopover(false);
+        this._focusMoreBadge();
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Focus an item of the popover, clamped to the items left
+   * Falls back to the badge, then to the selection when no item is left
+   * @param {number} index - Item position
+   * @private
+   */
+  _focusPopoverItem(index) {
+    const buttons = this.selection.getPopoverButtons();
+    if (buttons.length === 0) {
+      this._focusMoreBadge();
+      return;
+    }
+
+    buttons[Math.max(0, Math.min(index, buttons.length - 1))].focus();
+  }
+
+  /**
+   * Focus the "+N more" badge, or the selection if every chip is shown
+   * @private
+   */
+  _focusMoreBadge() {
+    const badge = this.selection.getMoreBadge();
+    if (badge) {
+      badge.focus();
+    } else if (this.selectionContainer) {
+      this.selectionContainer.focus();
+    }
+  }
+
+  /**
+   * Open or close the popover listing the chips hidden by maxVisibleChips
+   * While open, a click anywhere else closes it
+   * @param {boolean} [open] - New state (toggles when omitted)
+   */
+  togglePopover(open = !this.selection.isPopoverOpen()) {
+    this.selection.togglePopover(open);
+    this.update();
+
+    if (this.selection.isPopoverOpen() && !this._documentClickHandler) {
+      this._documentClickHandler = (e) => {
+        // Clicks on the badge and in the popover are handled by the
+        // selection. The path is checked because removing an item
+        // re-renders the popover (the target is detached by now)
+        const inside = e
+          .composedPath()
+          .some(
+            (node) =>
+              node.classList &&
+              (node.classList.contains("vs-selection__more") ||
+                node.classList.contains("vs-selection__popover")),
+          );
+        if (!inside) {
+          this.togglePopover(false);
+        }
+      };
+      document.addEventListener("click", this._documentClickHandler);
+    }
+  }
+
+  /**
+   * Stop listening for clicks outside the popover
+   * @private
+   */
+  _removeDocumentClickHandler() {
+    if (this._documentClickHandler) {
+      document.removeEventListener("click", this._documentClickHandler);
+      this._documentClickHandler = null;
+    }
+  }
+
+  /**
+   * Unselect a chosen item (multiple select chip removal)
+   * @param {string|number} id - Item ID
+   * @returns {boolean} True if the item was removed
+   */
+  removeChoice(id) {
+    if (this.instance.isDisabled) return false;
+
+    const item = this.dataAdapter
+      .current()
+      .find((item) => String(item.id) === String(id));
+
+    if (!item) return false;
+
+    this.dataAdapter.unselect(item);
+    this.update();
+    return true;
+  }
+
+  /**
+   * Move a chosen item by an offset in the selection order
+   * @param {string|number} id - Item ID
+   * @param {number} offset - Positions to move (negative moves towards the start)
+   * @returns {boolean} True if the item was moved
+   */
+  moveItem(id, offset) {
+    const ids = this.dataAdapter.current().map((item) => String(item.id));
+    const from = ids.indexOf(String(id));
+    const to = from + offset;
+
+    if (from === -1 || to < 0 || to >= ids.length) {
+      return false;
+    }
+
+    ids.splice(to, 0, ids.splice(from, 1)[0]);
+    return this.dataAdapter.reorder(ids);
+  }
+
+  /**
+   * Announce the new position of a moved item to screen readers
+   * @param {string} id - Item ID
+   * @private
+   */
+  _announceMove(id) {
+    const accessibilityManager = this.instance.accessibilityManager;
+    if (!accessibilityManager) return;
+
+    const current = this.dataAdapter.current();
+    const index = current.findIndex((item) => String(item.id) === id);
+    if (index === -1) return;
+
+    accessibilityManager.announceReorder(
+      current[index],
+      index + 1,
+      current.length,
+    );
+  }
+
+  /**
+   * Show a search box inline in the selection area (multiple select)
+   * @param {SearchBox} searchBox - Search box rendered by DropdownAdapter
+   */
+  setSearchBox(searchBox) {
+    this.selection.setSearchBox(searchBox);
+    this.update();
+  }
+
   /**
    * Update the selection display
    */
@@ -116,7 +549,39 @@ class SelectionAdapter extends BaseAdapter {
     if (!this.dataAdapter) return;
 
     const current = this.dataAdapter.current();
-    this.selection.update(current);
+    this.selection.update(current, this._countItems());
+
+    // The popover closes by itself once every chip fits again
+    if (!this.selection.isPopoverOpen()) {
+      this._removeDocumentClickHandler();
+    }
+  }
+
+  /**
+   * Count the options the checklist summary refers to ("3 of 40 selected")
+   * Remote (ajax, dataSource) data has no known total, nor has data not
+   * loaded yet (lazy mode)
+   * @returns {number|null} Number of options, or null if unknown
+   * @private
+   */
+  _countItems() {
+    if (
+      !this.selection.isChecklist() ||
+      this.options.get("ajax") ||
+      this.options.get("dataSource") ||
+      !this.dataAdapter.isLoaded()
+    ) {
+      return null;
+    }
+
+    const count = (items) =>
+      items.reduce(
+        (total, item) =>
+          total + (Array.isArray(item.children) ? count(item.children) : 1),
+        0,
+      );
+
+    return count(this.dataAdapter.query({ term: "" }));
   }
 
   /**
@@ -130,6 +595,8 @@ class SelectionAdapter extends BaseAdapter {
    * Destroy the adapter
    */
   destroy() {
+    super.destroy();
+
     // Properly remove event listeners to prevent memory leaks
     if (this.selectionContainer) {
       if (this._toggleClickHandler) {
@@ -156,6 +623,51 @@ class SelectionAdapter extends BaseAdapter {
         this._removeClickHandler = null;
       }
 
+      if (this._pointerDownHandler) {
+        this.selectionContainer.removeEventListener(
+          "pointerdown",
+          this._pointerDownHandler,
+        );
+        this._pointerDownHandler = null;
+      }
+
+      if (this._sortClickHandler) {
+        this.selectionContainer.removeEventListener(
+          "click",
+          this._sortClickHandler,
+          true,
+        );
+        this._sortClickHandler = null;
+      }
+
+      if (this._moreClickHandler) {
+        this.selectionContainer.removeEventListener(
+          "click",
+          this._moreClickHandler,
+        );
+        this._moreClickHandler = null;
+      }
+
+      if (this._moreKeydownHandler) {
+        this.selectionContainer.removeEventListener(
+          "keydown",
+          this._moreKeydownHandler,
+        );
+        this._moreKeydownHandler = null;
+      }
+
+      if (this._sortKeydownHandler) {
+        this.selectionContainer.removeEventListener(
+          "keydown",
+          this._sortKeydownHandler,
+        );
+        this._sortKeydownHandler = null;
+      }
+
+      // Drop document listeners of a drag in progress or an open popover
+      this._endDrag();
+      this._removeDocumentClickHandler();
+
       this.selectionContainer = null;
     }
 
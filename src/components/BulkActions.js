@@ -0,0 +1,94 @@
+/**
+ * BulkActions Component - "Select all" / "Clear all" controls
+ * Rendered in the dropdown above the results (multiple select)
+ */
+
+import { createElement } from "../utils/dom.js";
+
+class BulkActions {
+  /**
+   * @param {Options} options - Options instance
+   */
+  constructor(options) {
+    this.options = options;
+    this.container = null;
+    this.selectAllButton = null;
+    this.clearButton = null;
+  }
+
+  /**
+   * Render the controls
+   * @returns {HTMLElement} Controls container
+   */
+  render() {
+    const language = this.options.get("language");
+
+    this.container = createElement("div", {
+      className: "vs-bulk-actions",
+    });
+
+    this.selectAllButton = createElement(
+      "button",
+      {
+        type: "button",
+        className: "vs-bulk-actions__select-all",
+      },
+      language.selectAll || "Select all",
+    );
+
+    this.clearButton = createElement(
+      "button",
+      {
+        type: "button",
+        className: "vs-bulk-actions__clear",
+      },
+      language.clearAll || "Clear all",
+    );
+
+    this.container.appendChild(this.selectAllButton);
+    this.container.appendChild(this.clearButton);
+
+    return this.container;
+  }
+
+  /**
+   * Update labels and enabled state
+   * @param {Object} state - Controls state
+   * @param {boolean} state.searching - Results are filtered by a search term
+   * @param {boolean} state.canSelect - Some listed items are not selected yet
+   * @param {boolean} state.canClear - Something is selected
+   */
+  update({ searching, canSelect, canClear }) {
+    if (!this.container) return;
+
+    const language = this.options.get("language");
+    this.selectAllButton.textContent = searching
+      ? language.selectAllMatching || "Select all matching"
+      : language.selectAll || "Select all";
+
+    this.selectAllButton.disabled = !canSelect;
+    this.clearButton.disabled = !canClear;
+  }
+
+  /**
+   * Get the container element
+   * @returns {HTMLElement} Container
+   */
+  getContainer() {
+    return this.container;
+  }
+
+  /**
+   * Destroy the component
+   */
+  destroy() {
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+    this.selectAllButton = null;
+    this.clearButton = null;
+  }
+}
+
+export default BulkActions;
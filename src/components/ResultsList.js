@@ -7,14 +7,61 @@ import { createElement, emptyElement } from "../utils/dom.js";
 import { applyTemplate } from "../utils/template.js";
 
 class ResultsList {
-  constructor(options) {
+  /**
+   * @param {Options} options - Options instance
+   * @param {SearchManager|null} searchManager - Search manager used to report which field matched
+   * @param {Object} [config] - Component config
+   * @param {string} [config.idPrefix="vs"] - Instance id prefix for element ids
+   * @param {Function} [config.isSelected] - (item) => boolean, current selection state
+   */
+  constructor(
+    options,
+    searchManager = null,
+    { idPrefix = "vs", isSelected = null } = {},
+  ) {
     this.options = options;
+    this.searchManager = searchManager;
+    this.idPrefix = idPrefix;
+    this.isSelected = isSelected || ((item) => Boolean(item.selected));
     this.container = null;
     this.highlightedIndex = -1;
     this.results = [];
+    this.flatResults = [];
 
     // Cache template function for performance (avoids repeated options.get calls)
     this._cachedTemplateResult = options.get("templateResult");
+
+    // Virtual scroll state (only used when virtualScroll option is enabled)
+    this._virtual = options.get("virtualScroll") === true;
+    this._itemHeight = options.get("virtualScrollItemHeight");
+    this._buffer = options.get("virtualScrollBuffer");
+    this._rows = []; // Flat list of rows (group headers + items)
+    this._itemRowIndex = []; // Maps flat item index -> row index
+    this._windowStart = -1;
+    this._windowEnd = -1;
+    this._spacer = null;
+    this._window = null;
+    this._virtualScrollHandler = null;
+
+    // Tree state (only used when the tree option is enabled)
+    // Branches are rendered as rows that expand and collapse; the sets hold
+    // keys of branches toggled away from their default state
+    this._tree = options.get("tree") === true;
+    this._treeCollapsed = options.get("treeCollapsed") === true;
+    this._toggled = new Set();
+    this._searchToggled = new Set();
+    this._branchKeys = new WeakMap(); // Maps branch -> key of its path
+    this._searching = false;
+    this._parentIndex = []; // Maps flat item index -> flat index of its branch
+
+    // Group headers select all their items (multiple select only)
+    this._selectableGroups =
+      options.get("selectableGroups") === true &&
+      options.get("multiple") === true;
+
+    // Results show a checkbox and toggle (multiple select only)
+    this._checklist =
+      options.get("checklist") === true && options.get("multiple") === true;
   }
 
   /**
@@ -22,67 +69,588 @@ class ResultsList {
    * @returns {HTMLElement} Results container
    */
   render() {
+    let className = "vs-results";
+    if (this._virtual) className += " vs-results--virtual";
+    if (this._tree) className += " vs-results--tree";
+    if (this._checklist) className += " vs-results--checklist";
+
     this.container = createElement("div", {
-      className: "vs-results",
+      id: `${this.idPrefix}-results`,
+      className,
     });
 
+    if (this._virtual) {
+      // Re-render the visible window whenever the list scrolls
+      this._virtualScrollHandler = () => {
+        this._renderWindow();
+      };
+      this.container.addEventListener("scroll", this._virtualScrollHandler);
+    }
+
     return this.container;
   }
 
   /**
    * Update results list
    * @param {Array} results - Array of result items
+   * @param {Object} options - Update options
+   * @param {boolean} options.keepScroll - Keep the current scroll position (used when appending pages)
+   * @param {boolean} options.searching - Results are filtered by a search term (tree branches start expanded)
    */
-  update(results) {
+  update(results, options = {}) {
     this.results = results;
+
+    // Every search starts with the paths to its matches expanded
+    this._searching = Boolean(options.searching);
+    this._searchToggled = new Set();
+
+    this._render(options.keepScroll);
+  }
+
+  /**
+   * Render the current results
+   * @param {boolean} keepScroll - Keep the current scroll position
+   * @private
+   */
+  _render(keepScroll = false) {
+    const results = this.results;
     this.flatResults = []; // Flat list of rendered items
+    this._parentIndex = [];
     this.highlightedIndex = -1;
 
+    if (this._tree && results) {
+      this._indexBranches(results, []);
+    }
+
     if (!this.container) return;
 
+    const scrollTop = this.container.scrollTop;
+
     emptyElement(this.container);
 
     if (!results || results.length === 0) {
+      this._rows = [];
+      this._itemRowIndex = [];
       this._renderNoResults();
       return;
     }
 
-    let flatIndex = 0;
-    results.forEach((item) => {
-      // Check if item is a group
-      if (item.children && Array.isArray(item.children)) {
-        // Render group header
-        const groupHeader = this._renderGroupHeader(item);
-        this.container.appendChild(groupHeader);
-
-        // Render group children
-        item.children.forEach((child) => {
-          const childElement = this._renderItem(child, flatIndex, true);
-          this.container.appendChild(childElement);
-          this.flatResults.push(child); // Add to flat list
-          flatIndex++;
-        });
+    if (this._virtual) {
+      this._updateVirtual(results);
+    } else {
+      this._updateAll(results);
+    }
+
+    if (keepScroll) {
+      this.container.scrollTop = scrollTop;
+      if (this._virtual) {
+        this._renderWindow();
+      }
+    }
+  }
+
+  /**
+   * Render every result (default mode)
+   * @param {Array} results - Array of result items
+   * @private
+   */
+  _updateAll(results) {
+    this._appendItems(this.container, results, 0, -1);
+  }
+
+  /**
+   * Render items into a parent element, descending into nested groups
+   * @param {HTMLElement} parent - Element to render into
+   * @param {Array} items - Items to render
+   * @param {number} depth - Nesting depth of the items (0 = top level)
+   * @param {number} parentIndex - Flat index of the enclosing tree branch (-1 if none)
+   * @private
+   */
+  _appendItems(parent, items, depth, parentIndex) {
+    items.forEach((item) => {
+      if (!this.isBranch(item)) {
+        const index = this._addFlat(item, parentIndex);
+        parent.appendChild(this._renderItem(item, index, depth > 0, depth));
+        return;
+      }
+
+      if (this._tree) {
+        this._appendBranch(parent, item, depth, parentIndex);
+        return;
+      }
+
+      // Render group with its header, then its children
+      const groupElement = this._renderGroup(item);
+      if (this._selectableGroups) {
+        const index = this._addFlat(item, parentIndex);
+        groupElement.appendChild(this._renderGroupOption(item, index, depth));
       } else {
-        // Render regular item
-        const resultElement = this._renderItem(item, flatIndex, false);
-        this.container.appendChild(resultElement);
-        this.flatResults.push(item); // Add to flat list
-        flatIndex++;
+        groupElement.appendChild(this._renderGroupHeader(item, depth));
       }
+      this._appendItems(groupElement, item.children, depth + 1, parentIndex);
+      parent.appendChild(groupElement);
+    });
+  }
+
+  /**
+   * Render a tree branch row followed by its children (when expanded)
+   * @param {HTMLElement} parent - Element to render into
+   * @param {Object} branch - Branch data
+   * @param {number} depth - Nesting depth of the branch
+   * @param {number} parentIndex - Flat index of the enclosing branch (-1 if none)
+   * @private
+   */
+  _appendBranch(parent, branch, depth, parentIndex) {
+    const index = this._addFlat(branch, parentIndex);
+    const row = this._renderBranch(branch, index, depth);
+    parent.appendChild(row);
+
+    if (!this.isExpanded(branch)) return;
+
+    const groupElement = createElement("div", {
+      id: `${row.id}-group`,
+      className: "vs-results__group",
+      role: "group",
+    });
+    row.setAttribute("aria-owns", groupElement.id);
+
+    this._appendItems(groupElement, branch.children, depth + 1, index);
+    parent.appendChild(groupElement);
+  }
+
+  /**
+   * Add an item to the flat list
+   * @param {Object} item - Item data
+   * @param {number} parentIndex - Flat index of the enclosing branch (-1 if none)
+   * @returns {number} Flat index of the item
+   * @private
+   */
+  _addFlat(item, parentIndex) {
+    this.flatResults.push(item);
+    this._parentIndex.push(parentIndex);
+    return this.flatResults.length - 1;
+  }
+
+  /**
+   * Prepare virtual rows and render only the visible window
+   * Group headers and items share the same row height, so the position of any
+   * row can be computed without touching the DOM
+   * @param {Array} results - Array of result items
+   * @private
+   */
+  _updateVirtual(results) {
+    const rows = [];
+    const itemRowIndex = [];
+
+    this._collectRows(results, rows, itemRowIndex, 0, -1, null);
+
+    this._rows = rows;
+    this._itemRowIndex = itemRowIndex;
+
+    // Spacer keeps the full scroll height, window holds the rendered rows
+    this._spacer = createElement("div", {
+      className: "vs-results__spacer",
+    });
+    this._spacer.style.height = `${rows.length * this._itemHeight}px`;
+
+    this._window = createElement("div", {
+      className: "vs-results__window",
+    });
+
+    this._spacer.appendChild(this._window);
+    this.container.appendChild(this._spacer);
+
+    this._windowStart = -1;
+    this._windowEnd = -1;
+    this._renderWindow();
+  }
+
+  /**
+   * Flatten items into virtual rows, descending into nested groups
+   * @param {Array} items - Items to add
+   * @param {Array} rows - Rows being built
+   * @param {Array} itemRowIndex - Flat item index -> row index being built
+   * @param {number} depth - Nesting depth of the items
+   * @param {number} parentIndex - Flat index of the enclosing tree branch (-1 if none)
+   * @param {Object|null} group - Enclosing group (optgroup mode)
+   * @private
+   */
+  _collectRows(items, rows, itemRowIndex, depth, parentIndex, group) {
+    items.forEach((item) => {
+      if (this.isBranch(item) && !this._tree) {
+        // Selectable group headers take part in the flat index
+        if (this._selectableGroups) {
+          const index = this._addFlat(item, parentIndex);
+          itemRowIndex.push(rows.length);
+          rows.push({ type: "group", item, index, depth, group });
+        } else {
+          rows.push({ type: "group", item, depth, group });
+        }
+        this._collectRows(
+          item.children,
+          rows,
+          itemRowIndex,
+          depth + 1,
+          parentIndex,
+          item,
+        );
+        return;
+      }
+
+      const index = this._addFlat(item, parentIndex);
+      itemRowIndex.push(rows.length);
+      rows.push({
+        type: "item",
+        item,
+        index,
+        depth,
+        isGroupChild: depth > 0,
+        group,
+      });
+
+      if (this.isBranch(item) && this.isExpanded(item)) {
+        this._collectRows(
+          item.children,
+          rows,
+          itemRowIndex,
+          depth + 1,
+          index,
+          null,
+        );
+      }
+    });
+  }
+
+  /**
+   * Render the rows that are visible in the viewport (plus buffer)
+   * @param {boolean} force - Re-render even if the window did not change
+   * @private
+   */
+  _renderWindow(force = false) {
+    if (!this._virtual || !this._window || this._rows.length === 0) return;
+
+    // Hidden dropdowns report a height of 0 - fall back to the CSS max-height
+    const viewportHeight = this.container.clientHeight || 300;
+    const scrollTop = this.container.scrollTop;
+
+    const firstVisible = Math.floor(scrollTop / this._itemHeight);
+    const visibleCount = Math.ceil(viewportHeight / this._itemHeight);
+
+    const start = Math.max(0, firstVisible - this._buffer);
+    const end = Math.min(
+      this._rows.length,
+      firstVisible + visibleCount + this._buffer,
+    );
+
+    if (!force && start === this._windowStart && end === this._windowEnd) {
+      return;
+    }
+
+    this._windowStart = start;
+    this._windowEnd = end;
+
+    emptyElement(this._window);
+    this._window.style.transform = `translateY(${start * this._itemHeight}px)`;
+
+    const fragment = document.createDocumentFragment();
+    let groupElement = null;
+    let currentGroup = null;
+    for (let i = start; i < end; i++) {
+      const row = this._rows[i];
+      let element;
+      if (row.type === "group") {
+        element =
+          row.index === undefined
+            ? this._renderGroupHeader(row.item, row.depth)
+            : this._renderGroupOption(row.item, row.index, row.depth);
+      } else if (this._tree && this.isBranch(row.item)) {
+        element = this._renderBranch(row.item, row.index, row.depth);
+      } else {
+        element = this._renderItem(
+          row.item,
+          row.index,
+          row.isGroupChild,
+          row.depth,
+        );
+      }
+
+      element.style.height = `${this._itemHeight}px`;
+
+      // Wrap group rows in a labelled group - also when the window starts
+      // in the middle of a group. Tree rows carry their level instead
+      const rowGroup = row.type === "group" ? row.item : row.group;
+      if (rowGroup !== currentGroup) {
+        currentGroup = rowGroup;
+        groupElement = rowGroup ? this._renderGroup(rowGroup) : null;
+        if (groupElement) {
+          fragment.appendChild(groupElement);
+        }
+      }
+
+      if (row.index !== undefined) {
+        // Let assistive technology know the full size of the list
+        element.setAttribute("aria-setsize", this.flatResults.length);
+        element.setAttribute("aria-posinset", row.index + 1);
+
+        if (row.index === this.highlightedIndex) {
+          element.classList.add("vs-result--highlighted");
+        }
+      }
+
+      (groupElement || fragment).appendChild(element);
+    }
+
+    this._window.appendChild(fragment);
+  }
+
+  /**
+   * Scroll the virtual list so the item at a flat index is visible
+   * @param {number} index - Flat item index
+   * @private
+   */
+  _scrollToIndex(index) {
+    const rowIndex = this._itemRowIndex[index];
+    if (rowIndex === undefined) return;
+
+    const viewportHeight = this.container.clientHeight || 300;
+    const rowTop = rowIndex * this._itemHeight;
+    const rowBottom = rowTop + this._itemHeight;
+
+    if (rowTop < this.container.scrollTop) {
+      this.container.scrollTop = rowTop;
+    } else if (rowBottom > this.container.scrollTop + viewportHeight) {
+      this.container.scrollTop = rowBottom - viewportHeight;
+    }
+
+    this._renderWindow();
+  }
+
+  /**
+   * Re-render the visible window (virtual mode only)
+   * Used when the viewport size becomes known, e.g. after the dropdown opens
+   */
+  refresh() {
+    this._renderWindow(true);
+  }
+
+  /**
+   * Check if an item has children (an optgroup or a tree branch)
+   * @param {Object} item - Item data
+   * @returns {boolean} True if the item is a branch
+   */
+  isBranch(item) {
+    return Boolean(item && Array.isArray(item.children));
+  }
+
+  /**
+   * Check if results are rendered as an expandable tree
+   * @returns {boolean} True in tree mode
+   */
+  isTree() {
+    return this._tree;
+  }
+
+  /**
+   * Check if a branch shows its children
+   * While searching, branches start expanded so every match is visible
+   * @param {Object} item - Branch data
+   * @returns {boolean} True if expanded
+   */
+  isExpanded(item) {
+    if (!this._tree) return true;
+
+    const toggled = this._searching ? this._searchToggled : this._toggled;
+    const expandedByDefault = this._searching || !this._treeCollapsed;
+
+    return expandedByDefault !== toggled.has(this._branchKey(item));
+  }
+
+  /**
+   * Expand or collapse the branch at a flat index and keep it highlighted
+   * Rows before the branch keep their flat index, so the highlight stays put
+   * @param {number} index - Flat index of the branch
+   * @param {boolean} expanded - True to expand, false to collapse
+   * @returns {boolean} True if the branch changed state
+   */
+  setExpanded(index, expanded) {
+    const item = this.flatResults[index];
+    if (!this._tree || !this.isBranch(item)) return false;
+    if (this.isExpanded(item) === expanded) return false;
+
+    const toggled = this._searching ? this._searchToggled : this._toggled;
+    const key = this._branchKey(item);
+    if (toggled.has(key)) {
+      toggled.delete(key);
+    } else {
+      toggled.add(key);
+    }
+
+    this._render(true);
+    this.highlight(index);
+    return true;
+  }
+
+  /**
+   * Key the branches by the ids of their ancestors and their own id
+   * Branch ids fall back to their text, so same-label branches under
+   * different parents need the path to be told apart
+   * @param {Array} items - Items to index
+   * @param {string[]} path - Ids of the ancestors of the items
+   * @private
+   */
+  _indexBranches(items, path) {
+    items.forEach((item) => {
+      if (!this.isBranch(item)) return;
+
+      const branchPath = [...path, String(item.id)];
+      this._branchKeys.set(item, JSON.stringify(branchPath));
+      this._indexBranches(item.children, branchPath);
+    });
+  }
+
+  /**
+   * Get the key a branch's expanded state is stored under
+   * @param {Object} item - Branch data
+   * @returns {string} Key of the branch's path
+   * @private
+   */
+  _branchKey(item) {
+    return this._branchKeys.get(item) || JSON.stringify([String(item.id)]);
+  }
+
+  /**
+   * Re-render the current results in place (e.g. after a batch selection)
+   * Keeps the scroll position and the highlighted item
+   */
+  redraw() {
+    const index = this.highlightedIndex;
+    this._render(true);
+
+    if (index >= 0) {
+      this.highlight(index);
+    }
+  }
+
+  /**
+   * Check if results toggle like checkboxes (checklist option)
+   * @returns {boolean} True in checklist mode
+   */
+  isChecklist() {
+    return this._checklist;
+  }
+
+  /**
+   * Check if group headers select their items (selectableGroups option)
+   * @returns {boolean} True if groups are selectable
+   */
+  isGroupSelectable() {
+    return this._selectableGroups;
+  }
+
+  /**
+   * Get the enabled items below a group, at any depth
+   * For filtered results these are the items matching the search
+   * @param {Object} group - Group data
+   * @returns {Array} Enabled items
+   */
+  getGroupItems(group) {
+    return this.getSelectableItems(group.children);
+  }
+
+  /**
+   * Get the enabled items of the results, at any depth
+   * The "create tag" entry is not included
+   * @param {Array} [items] - Items to collect from (defaults to the current results)
+   * @returns {Array} Enabled items
+   */
+  getSelectableItems(items = this.results) {
+    const selectable = [];
+
+    (items || []).forEach((item) => {
+      if (this.isBranch(item)) {
+        selectable.push(...this.getSelectableItems(item.children));
+      } else if (!item.disabled && !item._isTag) {
+        selectable.push(item);
+      }
+    });
+
+    return selectable;
+  }
+
+  /**
+   * Get the checked state of a selectable group
+   * @param {Object} group - Group data
+   * @returns {string} "true" (all selected), "false" (none) or "mixed"
+   */
+  getGroupState(group) {
+    const items = this.getGroupItems(group);
+    const selectedCount = items.filter((item) => this.isSelected(item)).length;
+
+    if (selectedCount === 0) return "false";
+    return selectedCount === items.length ? "true" : "mixed";
+  }
+
+  /**
+   * Get the flat index of the tree branch containing an item
+   * @param {number} index - Flat item index
+   * @returns {number} Flat index of the parent branch, or -1 at the top level
+   */
+  getParentIndex(index) {
+    const parentIndex = this._parentIndex[index];
+    return parentIndex === undefined ? -1 : parentIndex;
+  }
+
+  /**
+   * Get the element id of the result at a flat index
+   * Ids are stable per instance, so aria-activedescendant never points to
+   * another select's options
+   * @param {number} index - Flat item index
+   * @returns {string} Element id
+   */
+  getItemId(index) {
+    return `${this.idPrefix}-result-${index}`;
+  }
+
+  /**
+   * Get the rendered element for a flat index
+   * In virtual mode this returns null for items outside the rendered window
+   * @param {number} index - Flat item index
+   * @returns {HTMLElement|null} Result element
+   */
+  getItemElement(index) {
+    if (!this.container) return null;
+    return this.container.querySelector(`.vs-result[data-index="${index}"]`);
+  }
+
+  /**
+   * Render the element wrapping an optgroup's header and options
+   * @param {Object} group - Group data
+   * @returns {HTMLElement} Group element
+   * @private
+   */
+  _renderGroup(group) {
+    return createElement("div", {
+      className: "vs-results__group",
+      role: "group",
+      "aria-label": group.text,
     });
   }
 
   /**
    * Render group header
+   * The header is visual only - the group element carries its label
    * @param {Object} group - Group data
+   * @param {number} depth - Nesting depth of the group
    * @returns {HTMLElement} Group header element
    * @private
    */
-  _renderGroupHeader(group) {
+  _renderGroupHeader(group, depth = 0) {
     const header = createElement("div", {
       className: "vs-result--group",
       role: "presentation",
+      "aria-hidden": "true",
     });
+    this._setDepth(header, depth);
 
     const text = createElement("span", {}, group.text);
     header.appendChild(text);
@@ -90,26 +658,122 @@ class ResultsList {
     return header;
   }
 
+  /**
+   * Render a selectable group header (selectableGroups option)
+   * The checkbox shows whether all, some or none of its items are selected
+   * @param {Object} group - Group data
+   * @param {number} index - Flat index
+   * @param {number} depth - Nesting depth of the group
+   * @returns {HTMLElement} Group option element
+   * @private
+   */
+  _renderGroupOption(group, index, depth) {
+    const row = createElement("div", {
+      id: this.getItemId(index),
+      className: "vs-result vs-result--group vs-result--group-option",
+      role: "option",
+      "data-index": index,
+      "data-id": group.id,
+    });
+    this._setDepth(row, depth);
+    this._setGroupState(row, group);
+
+    row.appendChild(createElement("span", {}, group.text));
+
+    return row;
+  }
+
+  /**
+   * Add the checkbox and aria-checked state of a selectable group
+   * Groups without enabled items are disabled
+   * @param {HTMLElement} row - Group row element
+   * @param {Object} group - Group data
+   * @private
+   */
+  _setGroupState(row, group) {
+    row.setAttribute("aria-checked", this.getGroupState(group));
+
+    if (this.getGroupItems(group).length === 0) {
+      row.classList.add("vs-result--disabled");
+      row.setAttribute("aria-disabled", "true");
+    }
+
+    const checkbox = createElement("span", {
+      className: "vs-result__checkbox",
+      "aria-hidden": "true",
+    });
+    row.insertBefore(checkbox, row.firstChild);
+  }
+
+  /**
+   * Render a tree branch row (expandable; selectable with selectableGroups)
+   * @param {Object} branch - Branch data
+   * @param {number} index - Flat index
+   * @param {number} depth - Nesting depth
+   * @returns {HTMLElement} Branch row element
+   * @private
+   */
+  _renderBranch(branch, index, depth) {
+    const row = this._renderItem(branch, index, depth > 0, depth);
+    row.classList.add("vs-result--branch");
+    row.removeAttribute("aria-selected");
+    row.setAttribute(
+      "aria-expanded",
+      this.isExpanded(branch) ? "true" : "false",
+    );
+
+    if (this._selectableGroups) {
+      this._setGroupState(row, branch);
+    }
+
+    const toggle = createElement("span", {
+      className: "vs-result__toggle",
+      "aria-hidden": "true",
+    });
+    row.insertBefore(toggle, row.firstChild);
+
+    return row;
+  }
+
+  /**
+   * Expose the nesting depth to CSS as --vs-depth (used for indentation)
+   * @param {HTMLElement} element - Row element
+   * @param {number} depth - Nesting depth
+   * @private
+   */
+  _setDepth(element, depth) {
+    if (depth > 0) {
+      element.style.setProperty("--vs-depth", depth);
+    }
+  }
+
   /**
    * Render a single result item
    * @param {Object} item - Item data
    * @param {number} index - Item index
    * @param {boolean} isGroupChild - Whether item is a child of a group
+   * @param {number} depth - Nesting depth (0 = top level)
    * @returns {HTMLElement} Result element
    * @private
    */
-  _renderItem(item, index, isGroupChild = false) {
+  _renderItem(item, index, isGroupChild = false, depth = 0) {
     const className = isGroupChild
       ? "vs-result vs-result--group-child"
       : "vs-result";
 
     const result = createElement("div", {
+      id: this.getItemId(index),
       className: className,
-      role: "option",
+      role: this._tree ? "treeitem" : "option",
       "data-index": index,
       "data-id": item.id,
-      "aria-selected": item.selected ? "true" : "false",
+      "aria-selected": this.isSelected(item) ? "true" : "false",
     });
+    this._setDepth(result, depth);
+
+    if (this._tree) {
+      result.setAttribute("aria-level", depth + 1);
+    }
 
     if (item.disabled) {
       result.classList.add("vs-result--disabled");
@@ -124,11 +788,25 @@ class ResultsList {
 
     // Use custom template if provided, otherwise use default
     // Uses cached template function for better performance
+    // Templates receive the search match ({ field, value, score }) as second
+    // argument so they can show why an item matched (null when not searching)
+    const match = this.searchManager ? this.searchManager.getMatch(item) : null;
+
     applyTemplate(this._cachedTemplateResult, item, result, {
       defaultText: item._isTag ? item.text : item.text,
       useTextContent: false, // Use createElement wrapper for consistency
+      context: match,
     });
 
+    // Checklist: the checkbox follows aria-selected (branches get their own)
+    if (this._checklist && !item._isTag && !this.isBranch(item)) {
+      const checkbox = createElement("span", {
+        className: "vs-result__checkbox",
+        "aria-hidden": "true",
+      });
+      result.insertBefore(checkbox, result.firstChild);
+    }
+
     return result;
   }
 
@@ -167,14 +845,26 @@ class ResultsList {
       previousHighlight.classList.remove("vs-result--highlighted");
     }
 
+    if (this._virtual) {
+      // Bring the row into the rendered window before highlighting it
+      this.highlightedIndex = index;
+      this._scrollToIndex(index);
+
+      const element = this.getItemElement(index);
+      if (element) {
+        element.classList.add("vs-result--highlighted");
+      }
+      return;
+    }
+
     // Add new highlight
-    const items = this.container.querySelectorAll(".vs-result");
-    if (items[index]) {
-      items[index].classList.add("vs-result--highlighted");
+    const element = this.getItemElement(index);
+    if (element) {
+      element.classList.add("vs-result--highlighted");
       this.highlightedIndex = index;
 
       // Scroll into view if needed
-      items[index].scrollIntoView({ block: "nearest" });
+      element.scrollIntoView({ block: "nearest" });
     }
   }
 
@@ -202,7 +892,13 @@ class ResultsList {
       emptyElement(this.container);
     }
     this.results = [];
+    this.flatResults = [];
+    this._parentIndex = [];
     this.highlightedIndex = -1;
+    this._rows = [];
+    this._itemRowIndex = [];
+    this._spacer = null;
+    this._window = null;
   }
 
   /**
@@ -218,6 +914,10 @@ class ResultsList {
    */
   destroy() {
     this.clear();
+    if (this.container && this._virtualScrollHandler) {
+      this.container.removeEventListener("scroll", this._virtualScrollHandler);
+      this._virtualScrollHandler = null;
+    }
     if (this.container && this.container.parentNode) {
       this.container.parentNode.removeChild(this.container);
     }
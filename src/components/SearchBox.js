@@ -1,13 +1,20 @@
 /**
  * SearchBox Component - Search input inside dropdown
+ * (or inline in the selection area, after the chips)
  * Handles search input rendering and events
  */
 
 import { createElement, emptyElement } from "../utils/dom.js";
 
 class SearchBox {
-  constructor(options) {
+  /**
+   * @param {Options} options - Options instance
+   * @param {Object} [config] - Component config
+   * @param {boolean} [config.inline=false] - Render inside the selection area
+   */
+  constructor(options, { inline = false } = {}) {
     this.options = options;
+    this.inline = inline;
     this.container = null;
     this.input = null;
   }
@@ -18,6 +25,11 @@ class SearchBox {
    * @private
    */
   _getPlaceholder() {
+    // The inline input shows the select placeholder instead (set by Selection)
+    if (this.inline) {
+      return "";
+    }
+
     const language = this.options.get("language");
     const customPlaceholder = this.options.get("searchPlaceholder");
     return customPlaceholder !== null && customPlaceholder !== undefined
@@ -41,12 +53,12 @@ class SearchBox {
    */
   render() {
     this.container = createElement("div", {
-      className: "vs-search-container",
+      className: this.inline ? "vs-selection__search" : "vs-search-container",
     });
 
     this.input = createElement("input", {
       type: "text",
-      className: "vs-search",
+      className: this.inline ? "vs-search vs-search--inline" : "vs-search",
       autocomplete: "off",
       autocorrect: "off",
       autocapitalize: "off",
@@ -60,6 +72,11 @@ class SearchBox {
 
     this.container.appendChild(this.input);
 
+    if (this.inline) {
+      this.input.addEventListener("input", () => this.resize());
+      this.resize();
+    }
+
     return this.container;
   }
 
@@ -94,9 +111,23 @@ class SearchBox {
   clear() {
     if (this.input) {
       this.input.value = "";
+      this.resize();
     }
   }
 
+  /**
+   * Grow the inline input with its content (or placeholder)
+   */
+  resize() {
+    if (!this.inline || !this.input) return;
+
+    const length = Math.max(
+      this.input.value.length,
+      this.input.placeholder.length,
+    );
+    this.input.style.width = `${(length + 1) * 0.75}em`;
+  }
+
   /**
    * Get current search value
    * @returns {string} Search value
@@ -112,6 +143,7 @@ class SearchBox {
   setValue(value) {
     if (this.input) {
       this.input.value = value;
+      this.resize();
     }
   }
 
@@ -124,7 +156,10 @@ class SearchBox {
       return;
     }
 
-    this.input.placeholder = this._getPlaceholder();
+    // Inline placeholder is owned by Selection
+    if (!this.inline) {
+      this.input.placeholder = this._getPlaceholder();
+    }
     this.input.setAttribute("aria-label", this._getAriaLabel());
   }
 
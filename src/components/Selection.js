@@ -7,12 +7,28 @@ import { createElement } from "../utils/dom.js";
 import { applyTemplate } from "../utils/template.js";
 
 class Selection {
-  constructor(options) {
+  /**
+   * @param {Options} options - Options instance
+   * @param {Object} [config] - Component config
+   * @param {string} [config.idPrefix="vs"] - Instance id prefix for element ids
+   */
+  constructor(options, { idPrefix = "vs" } = {}) {
     this.options = options;
+    this.idPrefix = idPrefix;
     this.container = null;
+    this.searchBox = null; // Inline search (multiple select), kept across renders
 
     // Cache template function for performance (avoids repeated options.get calls)
     this._cachedTemplateSelection = options.get("templateSelection");
+
+    // Checklist mode shows a summary instead of chips (multiple select only)
+    this._checklist =
+      options.get("checklist") === true && options.get("multiple") === true;
+
+    // Chips past maxVisibleChips collapse into a "+N more" badge whose
+    // popover lists them; the open state survives re-renders
+    this._maxVisibleChips = options.get("maxVisibleChips");
+    this._popoverOpen = false;
   }
 
   /**
@@ -41,7 +57,13 @@ class Selection {
     if (!this.container) return;
 
     // Always clear the container first
-    this.container.innerHTML = "";
+    this._empty();
+
+    // The inline search shows the placeholder itself
+    if (this.searchBox) {
+      this._placeSearch(false);
+      return;
+    }
 
     // Then add placeholder if defined
     const placeholder = this.options.get("placeholder");
@@ -60,18 +82,22 @@ class Selection {
   /**
    * Update selection display
    * @param {Array} selection - Selected items
+   * @param {number|null} [total] - Number of options (checklist summary)
    */
-  update(selection) {
+  update(selection, total = null) {
     if (!this.container) return;
 
     const isMultiple = this.options.get("multiple");
 
     if (!selection || selection.length === 0) {
+      this._popoverOpen = false;
       this.renderPlaceholder();
       return;
     }
 
-    if (isMultiple) {
+    if (this._checklist) {
+      this._renderSummary(selection.length, total);
+    } else if (isMultiple) {
       this._renderMultiple(selection);
     } else {
       this._renderSingle(selection[0]);
@@ -84,39 +110,82 @@ class Selection {
    * @private
    */
   _renderSingle(item) {
-    this.container.innerHTML = "";
+    this._empty();
 
     const rendered = createElement("span", {
       className: "vs-selection__rendered",
     });
 
-    // Use custom template if provided, otherwise use default
-    // Uses cached template function for better performance
-    applyTemplate(this._cachedTemplateSelection, item, rendered, {
-      defaultText: item.text,
-      useTextContent: true, // Use textContent directly for better performance
-    });
+    this._renderText(item, rendered, "vs-selection__rendered--loading");
 
     this.container.appendChild(rendered);
 
-    // Add clear button if allowClear is enabled
+    this._renderClear();
+  }
+
+  /**
+   * Add the clear button if allowClear is enabled
+   * @private
+   */
+  _renderClear() {
     const allowClear = this.options.get("allowClear");
-    if (allowClear) {
-      const language = this.options.get("language");
-      const clearLabel = language.clearSelection || "Clear selection";
+    if (!allowClear) return;
 
-      const clearBtn = createElement(
-        "span",
-        {
-          className: "vs-selection__clear",
-          role: "button",
-          "aria-label": clearLabel,
-          title: clearLabel,
-        },
-        "×",
-      );
+    const language = this.options.get("language");
+    const clearLabel = language.clearSelection || "Clear selection";
+
+    const clearBtn = createElement(
+      "span",
+      {
+        className: "vs-selection__clear",
+        role: "button",
+        "aria-label": clearLabel,
+        title: clearLabel,
+      },
+      "×",
+    );
+
+    this.container.appendChild(clearBtn);
+  }
+
+  /**
+   * Render the checklist summary, e.g. "3 of 40 selected"
+   * @param {number} count - Number of selected items
+   * @param {number|null} total - Number of options, null if unknown (AJAX)
+   * @private
+   */
+  _renderSummary(count, total) {
+    this._empty();
+
+    const language = this.options.get("language");
+    let text;
+    if (total === null) {
+      text =
+        typeof language.itemsSelected === "function"
+          ? language.itemsSelected({ count })
+          : `${count} items selected`;
+    } else {
+      text =
+        typeof language.selectionSummary === "function"
+          ? language.selectionSummary({ count, total })
+          : `${count} of ${total} selected`;
+    }
 
-      this.container.appendChild(clearBtn);
+    const summary = createElement(
+      "span",
+      {
+        className: "vs-selection__summary",
+      },
+      text,
+    );
+
+    // Only the inline search (if any) is left after emptying - summary goes first
+    this.container.insertBefore(summary, this.container.firstChild);
+
+    if (this.searchBox) {
+      this._placeSearch(true);
+    } else {
+      this._renderClear();
     }
   }
 
@@ -126,18 +195,235 @@ class Selection {
    * @private
    */
   _renderMultiple(items) {
-    this.container.innerHTML = "";
+    this._empty();
 
+    const language = this.options.get("language");
     const choicesContainer = createElement("ul", {
       className: "vs-selection__choices",
+      role: "listbox",
+      "aria-label": language.selectedItems || "Selected items",
+      "aria-orientation": "horizontal",
     });
 
-    items.forEach((item) => {
+    const visibleCount = this._getVisibleCount(items.length);
+
+    items.slice(0, visibleCount).forEach((item) => {
       const choice = this._renderChoice(item);
       choicesContainer.appendChild(choice);
     });
 
-    this.container.appendChild(choicesContainer);
+    // Only the inline search (if any) is left after emptying - chips go first
+    this.container.insertBefore(choicesContainer, this.container.firstChild);
+
+    const hidden = items.slice(visibleCount);
+    if (hidden.length > 0) {
+      choicesContainer.classList.add("vs-selection__choices--collapsed");
+      this._renderMore(hidden, choicesContainer);
+    } else {
+      this._popoverOpen = false;
+    }
+
+    if (this.searchBox) {
+      this._placeSearch(true);
+    }
+  }
+
+  /**
+   * Get the number of chips to show
+   * @param {number} count - Number of chosen items
+   * @returns {number} Number of visible chips
+   * @private
+   */
+  _getVisibleCount(count) {
+    const max = this._maxVisibleChips;
+    if (typeof max !== "number" || count <= max) {
+      return count;
+    }
+    return max;
+  }
+
+  /**
+   * Render the "+N more" badge after the chips, and its popover when open
+   * @param {Array} hidden - Chosen items without a chip
+   * @param {HTMLElement} choicesContainer - Chips list
+   * @private
+   */
+  _renderMore(hidden, choicesContainer) {
+    const language = this.options.get("language");
+    const popoverId = `${this.idPrefix}-more`;
+    const label =
+      typeof language.moreItems === "function"
+        ? language.moreItems({ count: hidden.length })
+        : `+${hidden.length} more`;
+
+    const badge = createElement(
+      "span",
+      {
+        className: "vs-selection__more",
+        role: "button",
+        tabindex: "0",
+        "aria-haspopup": "true",
+        "aria-expanded": this._popoverOpen ? "true" : "false",
+        "aria-controls": popoverId,
+      },
+      label,
+    );
+    this.container.insertBefore(badge, choicesContainer.nextSibling);
+
+    if (!this._popoverOpen) return;
+
+    const popover = createElement("ul", {
+      id: popoverId,
+      className: "vs-selection__popover",
+      "aria-label": language.selectedItems || "Selected items",
+    });
+
+    hidden.forEach((item) => {
+      const row = createElement("li", {
+        className: "vs-selection__popover-item",
+        "data-id": item.id,
+      });
+
+      const text = createElement("span", {
+        className: "vs-selection__choice__text",
+      });
+      this._renderText(item, text, "vs-selection__choice__text--loading");
+
+      const removeLabel =
+        typeof language.removeItem === "function"
+          ? language.removeItem({ text: item.text })
+          : `Remove ${item.text}`;
+
+      // Unlike chips, the popover is a plain list, so the remove control is
+      // a real button
+      const remove = createElement(
+        "button",
+        {
+          type: "button",
+          className: "vs-selection__choice__remove",
+          "aria-label": removeLabel,
+          title: removeLabel,
+          "data-id": item.id,
+        },
+        "×",
+      );
+
+      row.appendChild(text);
+      row.appendChild(remove);
+      popover.appendChild(row);
+    });
+
+    this.container.insertBefore(popover, badge.nextSibling);
+  }
+
+  /**
+   * Open or close the popover listing the chosen items without a chip
+   * The selection must be re-rendered (update) afterwards
+   * @param {boolean} [open] - New state (toggles when omitted)
+   */
+  togglePopover(open = !this._popoverOpen) {
+    this._popoverOpen = open;
+  }
+
+  /**
+   * Check if the popover of hidden chips is open
+   * @returns {boolean} True if open
+   */
+  isPopoverOpen() {
+    return this._popoverOpen;
+  }
+
+  /**
+   * Get the "+N more" badge element
+   * @returns {HTMLElement|null} Badge element, or null if all chips are shown
+   */
+  getMoreBadge() {
+    return this.container
+      ? this.container.querySelector(".vs-selection__more")
+      : null;
+  }
+
+  /**
+   * Get the remove buttons of the popover
+   * @returns {HTMLElement[]} Remove buttons, in order
+   */
+  getPopoverButtons() {
+    if (!this.container) return [];
+    return Array.from(
+      this.container.querySelectorAll(
+        ".vs-selection__popover .vs-selection__choice__remove",
+      ),
+    );
+  }
+
+  /**
+   * Render a search box inline, after the chips (multiple select)
+   * The input becomes the tab stop instead of the selection container
+   * @param {SearchBox} searchBox - Inline search box
+   */
+  setSearchBox(searchBox) {
+    this.searchBox = searchBox;
+
+    if (this.container) {
+      this.container.classList.add("vs-selection--inline-search");
+      this.container.setAttribute("tabindex", "-1");
+    }
+  }
+
+  /**
+   * Remove the rendered content, keeping the inline search element so it
+   * doesn't lose focus or typed text between renders
+   * @private
+   */
+  _empty() {
+    const searchElement = this.searchBox && this.searchBox.getContainer();
+
+    Array.from(this.container.childNodes).forEach((node) => {
+      if (node !== searchElement) {
+        this.container.removeChild(node);
+      }
+    });
+  }
+
+  /**
+   * Move the inline search to the end and update its placeholder
+   * @param {boolean} hasItems - Whether any item is selected
+   * @private
+   */
+  _placeSearch(hasItems) {
+    const searchElement = this.searchBox.getContainer();
+    if (searchElement.parentNode !== this.container) {
+      this.container.appendChild(searchElement);
+    }
+
+    const input = this.searchBox.getInput();
+    input.placeholder = hasItems ? "" : this.options.get("placeholder") || "";
+    this.searchBox.resize();
+  }
+
+  /**
+   * Render the label of a chosen item
+   * Items being resolved (ajax.resolveIds) show the loading text instead
+   * @param {Object} item - Chosen item
+   * @param {HTMLElement} element - Element to render into
+   * @param {string} loadingClass - Class added while the item is loading
+   * @private
+   */
+  _renderText(item, element, loadingClass) {
+    if (item._loading) {
+      const language = this.options.get("language");
+      element.classList.add(loadingClass);
+      element.setAttribute("aria-busy", "true");
+      element.textContent = language.loading || "Loading...";
+      return;
+    }
+
+    // Use custom template if provided, otherwise use default
+    // Uses cached template function for better performance
+    applyTemplate(this._cachedTemplateSelection, item, element, {
+      defaultText: item.text,
+      useTextContent: true, // Use textContent directly for better performance
+    });
   }
 
   /**
@@ -147,21 +433,27 @@ class Selection {
    * @private
    */
   _renderChoice(item) {
+    // Chips are reached with the arrow keys from the selection (roving focus),
+    // so they are focusable but not part of the tab order
     const choice = createElement("li", {
       className: "vs-selection__choice",
+      role: "option",
+      "aria-selected": "true",
+      tabindex: "-1",
       "data-id": item.id,
     });
 
+    // Sortable chips can be dragged, or moved with Alt+Arrow keys when focused
+    if (this.isSortable()) {
+      choice.classList.add("vs-selection__choice--sortable");
+      choice.setAttribute("aria-keyshortcuts", "Alt+ArrowLeft Alt+ArrowRight");
+    }
+
     const text = createElement("span", {
       className: "vs-selection__choice__text",
     });
 
-    // Use custom template if provided, otherwise use default
-    // Uses cached template function for better performance
-    applyTemplate(this._cachedTemplateSelection, item, text, {
-      defaultText: item.text,
-      useTextContent: true, // Use textContent directly for better performance
-    });
+    this._renderText(item, text, "vs-selection__choice__text--loading");
 
     const language = this.options.get("language");
     const removeLabel =
@@ -169,12 +461,14 @@ class Selection {
         ? language.removeItem({ text: item.text })
         : `Remove ${item.text}`;
 
+    // Options can't contain buttons - keyboard users remove the focused chip
+    // with Backspace/Delete, so the mouse target is hidden from screen readers
     const remove = createElement(
       "span",
       {
         className: "vs-selection__choice__remove",
-        role: "button",
-        "aria-label": removeLabel,
+        "aria-hidden": "true",
+        title: removeLabel,
         "data-id": item.id,
       },
       "×",
@@ -186,10 +480,53 @@ class Selection {
     return choice;
   }
 
+  /**
+   * Check if the selection shows a summary instead of chips
+   * @returns {boolean} True in checklist mode (multiple select only)
+   */
+  isChecklist() {
+    return this._checklist;
+  }
+
+  /**
+   * Check if chosen items can be reordered
+   * @returns {boolean} True if sortable (multiple select only)
+   */
+  isSortable() {
+    return Boolean(
+      this.options.get("sortable") && this.options.get("multiple"),
+    );
+  }
+
+  /**
+   * Get the rendered choice elements in display order
+   * @returns {HTMLElement[]} Choice elements
+   */
+  getChoices() {
+    if (!this.container) return [];
+    return Array.from(this.container.querySelectorAll(".vs-selection__choice"));
+  }
+
+  /**
+   * Move focus to the choice of an item
+   * @param {string|number} id - Item ID
+   * @returns {boolean} True if the choice was found and focused
+   */
+  focusChoice(id) {
+    const choice = this.getChoices().find(
+      (element) => element.dataset.id === String(id),
+    );
+    if (choice) {
+      choice.focus();
+    }
+    return Boolean(choice);
+  }
+
   /**
    * Clear the selection display
    */
   clear() {
+    this._popoverOpen = false;
     this.renderPlaceholder();
   }
 
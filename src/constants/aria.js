@@ -8,6 +8,8 @@ export const ARIA = {
   COMBOBOX: "combobox",
   LISTBOX: "listbox",
   OPTION: "option",
+  TREE: "tree",
+  TREEITEM: "treeitem",
   GROUP: "group",
   PRESENTATION: "presentation",
 
@@ -31,6 +33,7 @@ export const ARIA = {
   HASPOPUP: "aria-haspopup",
   AUTOCOMPLETE: "aria-autocomplete",
   MULTISELECTABLE: "aria-multiselectable",
+  LEVEL: "aria-level",
 
   // Live Region Attributes
   LIVE: "aria-live",
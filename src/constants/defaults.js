@@ -18,16 +18,27 @@ export const DEFAULTS = {
   allowClear: false,
   disabled: false,
   closeOnSelect: true,
+  sortable: false, // Reorder chosen items by drag-and-drop or Alt+Arrow keys (multiple select)
+  selectableGroups: false, // Multiple select: a group header selects/unselects all of its enabled items
+  bulkActions: false, // Multiple select: "Select all" / "Clear all" controls above the results
+  maxVisibleChips: null, // Multiple select: collapse chips past this number into a "+N more" badge (null = show all)
+  checklist: false, // Multiple select: results toggle with a checkbox, the selection shows "3 of 40 selected"
 
   // Data options
-  data: null,
+  data: null, // Array of items, or a function returning them (or a Promise) on the first open
+  lazy: false, // Read the data and render results on the first open - only the selection at init
+  cleanupGeneratedOptions: true, // Remove <option>s created for tags/AJAX items once unselected
+  syncElement: true, // Follow later changes to the native <select> (options, attributes, form reset)
+  syncElementValue: false, // Also follow select.value/selectedIndex writes (wraps them on the element)
 
   // Search options
   searchMinimumLength: 0,
   searchDelay: 250,
   searchPlaceholder: null, // Use null to allow i18n translation, or set a custom string to override
   matcher: null, // Custom matcher function
-  matchStrategy: "contains", // 'startsWith', 'contains', 'exact'
+  inlineSearch: false, // Multiple select: type in the selection area after the chips instead of the dropdown
+  matchStrategy: "contains", // 'startsWith', 'contains', 'exact', 'fuzzy'
+  searchFields: null, // Item fields to search, e.g. ['text', { name: 'code', weight: 2 }] (null = text only)
 
   // Template options
   templateResult: null, // Function: (item) => HTMLElement
@@ -39,6 +50,13 @@ export const DEFAULTS = {
   dropdownAutoWidth: false,
   dropdownCssClass: "",
 
+  // Results rendering options
+  virtualScroll: false, // Render only visible results (for very large lists)
+  virtualScrollItemHeight: 36, // Fixed row height in px used by virtual scroll
+  virtualScrollBuffer: 10, // Extra rows rendered above/below the viewport
+  tree: false, // Render nested children as an expandable tree (Left/Right collapse and expand)
+  treeCollapsed: false, // Tree mode: start with every branch collapsed
+
   // AJAX options (Phase 2)
   ajax: null,
   /*
@@ -53,6 +71,7 @@ export const DEFAULTS = {
     transport: null // Custom transport function
   }
   */
+  dataSource: null, // async ({ term, page, signal }) => ({ results, more }) - remote data without HTTP (IndexedDB, GraphQL, workers...)
 
   // Tagging options (Phase 2)
   tags: false,
@@ -64,6 +83,8 @@ export const DEFAULTS = {
   insertTag: (data, tag) => {
     data.unshift(tag);
   },
+  tokenSeparators: null, // e.g. [",", " "] - split typed/pasted text into several tags (multiple mode)
+  tokenizer: null, // Function: ({ term, separators, final }) => ({ tokens, term })
 
   // Language/i18n options
   // Auto-detect browser language and load appropriate translations
@@ -84,6 +105,9 @@ export const DEFAULTS = {
   onUnselect: null,
   onClear: null,
 
+  // Plugins for this instance, after the ones registered with VanillaSmartSelect.use()
+  plugins: [],
+
   // Debug mode
   debug: false,
 };
@@ -6,6 +6,7 @@
 export const EVENTS = {
   // Lifecycle events
   INIT: "vs:init",
+  INIT_ERROR: "vs:initError",
   DESTROY: "vs:destroy",
 
   // Selection events
@@ -17,6 +18,8 @@ export const EVENTS = {
   CLEAR: "vs:clear",
   CLEARING: "vs:clearing",
   SELECTION_LIMIT_REACHED: "vs:selectionLimitReached",
+  TOKENIZE: "vs:tokenize",
+  REORDER: "vs:reorder",
 
   // Dropdown events
   OPEN: "vs:open",
@@ -30,6 +33,7 @@ export const EVENTS = {
 
   // Data events
   DATA_LOADED: "vs:dataLoaded",
+  DATA_ERROR: "vs:dataError",
 
   // AJAX events (Phase 2)
   AJAX_LOADING: "vs:ajaxLoading",
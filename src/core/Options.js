@@ -5,12 +5,179 @@
 
 import { DEFAULTS } from "../constants/defaults.js";
 
+// data-vs-* attributes set by the component itself
+const RESERVED_ATTRIBUTES = ["vsInitializing"];
+
+// Options turning on a feature when set (null by default) - their app-wide
+// defaults only apply to instances that set them
+const OPTIONAL_GROUPS = ["ajax"];
+
+// App-wide defaults (setDefaults): merged options and optional groups
+let globalDefaults = DEFAULTS;
+let groupDefaults = {};
+
+/**
+ * Convert a data-vs-* attribute value to the type of the option's default
+ * Options without a boolean, number or string default take JSON (arrays,
+ * objects, numbers, true/false) or plain text
+ * @param {string} value - Attribute value
+ * @param {*} defaultValue - Default value of the option
+ * @param {string} attribute - Attribute name, for error messages
+ * @returns {*} Option value
+ * @throws {Error} If a number or JSON value is invalid
+ */
+function parseAttributeValue(value, defaultValue, attribute) {
+  if (typeof defaultValue === "boolean") {
+    // A bare attribute (data-vs-allow-clear) means true
+    return value !== "false";
+  }
+
+  if (typeof defaultValue === "number") {
+    const number = Number(value);
+    if (value.trim() === "" || Number.isNaN(number)) {
+      throw new Error(`${attribute} must be a number`);
+    }
+    return number;
+  }
+
+  if (typeof defaultValue === "string") {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    if (/^\s*[[{]/.test(value)) {
+      throw new Error(`${attribute} must be valid JSON`);
+    }
+    return value;
+  }
+}
+
+/**
+ * Turn a camelCase name back into the attribute's kebab-case
+ * @param {string} name - Dataset key (e.g. vsAllowClear)
+ * @returns {string} Attribute name (e.g. data-vs-allow-clear)
+ */
+function toAttributeName(name) {
+  return `data-${name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`)}`;
+}
+
 class Options {
-  constructor(options = {}, defaults = DEFAULTS) {
-    this._options = this._merge(defaults, options);
+  constructor(options = {}, defaults = globalDefaults) {
+    this._options = this._merge(defaults, this._withGroupDefaults(options));
     this._validate();
   }
 
+  /**
+   * Set app-wide defaults for the instances created afterwards
+   * Merged into the current defaults (objects such as language or
+   * ajax.headers deeply); ajax defaults only apply to instances with ajax
+   * @param {Object} options - Default options
+   * @throws {Error} If the resulting defaults are invalid
+   */
+  static setDefaults(options = {}) {
+    const groups = {};
+    const rest = {};
+
+    Object.keys(options).forEach((key) => {
+      if (OPTIONAL_GROUPS.includes(key)) {
+        groups[key] = options[key];
+      } else {
+        rest[key] = options[key];
+      }
+    });
+
+    // Validated like instance options before being applied
+    const defaults = new Options(rest, globalDefaults);
+    groupDefaults = defaults._merge(groupDefaults, groups);
+    globalDefaults = defaults.getAll();
+  }
+
+  /**
+   * Restore the library defaults (undo setDefaults)
+   */
+  static resetDefaults() {
+    globalDefaults = DEFAULTS;
+    groupDefaults = {};
+  }
+
+  /**
+   * Merge the app-wide defaults of optional groups (ajax) into the groups
+   * the options set
+   * @param {Object} options - Instance options
+   * @param {Object} [groups] - Group defaults to apply
+   * @returns {Object} Options
+   * @private
+   */
+  _withGroupDefaults(options, groups = groupDefaults) {
+    const result = { ...options };
+
+    Object.keys(groups).forEach((key) => {
+      if (this._isPlainObject(result[key])) {
+        result[key] = this._merge(groups[key], result[key]);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Read options from an element's data-vs-* attributes
+   * Attribute names map to options in camelCase (data-vs-allow-clear →
+   * allowClear), data-vs-ajax-* to ajax settings (data-vs-ajax-url →
+   * ajax.url). JSON in data-vs itself gives options the attributes override
+   * @param {HTMLElement} element - Element to read
+   * @param {Object} [defaults=DEFAULTS] - Defaults telling the value types
+   * @returns {Object} Options
+   * @throws {Error} If an attribute value is invalid
+   *
+   * @example
+   * // <select data-vs data-vs-allow-clear data-vs-maximum-selection-length="3"
+   * //   data-vs-data='[{"id":1,"text":"One"}]'>
+   * Options.fromDataAttributes(select);
+   * // { allowClear: true, maximumSelectionLength: 3, data: [{ id: 1, text: "One" }] }
+   */
+  static fromDataAttributes(element, defaults = DEFAULTS) {
+    const { dataset } = element;
+    let options = {};
+
+    if (dataset.vs && dataset.vs.trim() !== "") {
+      options = parseAttributeValue(dataset.vs, null, "data-vs");
+      if (!options || typeof options !== "object" || Array.isArray(options)) {
+        throw new Error("data-vs must be empty or a JSON object");
+      }
+    }
+
+    // Sorted so data-vs-ajax (JSON) comes before the data-vs-ajax-* settings
+    Object.keys(dataset)
+      .sort()
+      .forEach((key) => {
+        if (!/^vs[A-Z]/.test(key) || RESERVED_ATTRIBUTES.includes(key)) return;
+
+        const name = key.charAt(2).toLowerCase() + key.slice(3);
+        const attribute = toAttributeName(key);
+
+        // data-vs-ajax-url → ajax.url
+        if (/^ajax[A-Z]/.test(name)) {
+          const setting = name.charAt(4).toLowerCase() + name.slice(5);
+          options.ajax = {
+            ...(options.ajax || {}),
+            [setting]: parseAttributeValue(dataset[key], undefined, attribute),
+          };
+          return;
+        }
+
+        options[name] = parseAttributeValue(
+          dataset[key],
+          defaults[name],
+          attribute,
+        );
+      });
+
+    return options;
+  }
+
   /**
    * Deep merge two objects
    * @param {Object} target - Target object
@@ -83,13 +250,51 @@ class Options {
     }
 
     // Validate matchStrategy
-    const validStrategies = ["startsWith", "contains", "exact"];
+    const validStrategies = ["startsWith", "contains", "exact", "fuzzy"];
     if (!validStrategies.includes(this._options.matchStrategy)) {
       throw new Error(
         `matchStrategy must be one of: ${validStrategies.join(", ")}`,
       );
     }
 
+    // Validate searchFields
+    const searchFields = this._options.searchFields;
+    if (searchFields !== null && searchFields !== undefined) {
+      const isValidField = (field) =>
+        typeof field === "string" ||
+        (this._isPlainObject(field) &&
+          typeof field.name === "string" &&
+          (field.weight === undefined ||
+            (typeof field.weight === "number" && field.weight > 0)));
+
+      if (!Array.isArray(searchFields) || !searchFields.every(isValidField)) {
+        throw new Error(
+          "searchFields must be an array of field names or { name, weight } objects with a positive weight",
+        );
+      }
+    }
+
+    // Validate tokenizing options
+    const tokenSeparators = this._options.tokenSeparators;
+    if (
+      tokenSeparators !== null &&
+      tokenSeparators !== undefined &&
+      (!Array.isArray(tokenSeparators) ||
+        !tokenSeparators.every(
+          (separator) => typeof separator === "string" && separator !== "",
+        ))
+    ) {
+      throw new Error("tokenSeparators must be an array of non-empty strings");
+    }
+
+    if (
+      this._options.tokenizer !== null &&
+      this._options.tokenizer !== undefined &&
+      typeof this._options.tokenizer !== "function"
+    ) {
+      throw new Error("tokenizer must be a function or null");
+    }
+
     // Validate template functions
     if (
       this._options.templateResult !== null &&
@@ -113,6 +318,36 @@ class Options {
       throw new Error("maximumSelectionLength must be a non-negative number");
     }
 
+    // Validate virtual scroll settings
+    if (
+      typeof this._options.virtualScrollItemHeight !== "number" ||
+      this._options.virtualScrollItemHeight <= 0
+    ) {
+      throw new Error("virtualScrollItemHeight must be a positive number");
+    }
+
+    if (
+      typeof this._options.virtualScrollBuffer !== "number" ||
+      this._options.virtualScrollBuffer < 0
+    ) {
+      throw new Error("virtualScrollBuffer must be a non-negative number");
+    }
+
+    // Validate maxVisibleChips
+    if (
+      this._options.maxVisibleChips !== null &&
+      this._options.maxVisibleChips !== undefined &&
+      (!Number.isInteger(this._options.maxVisibleChips) ||
+        this._options.maxVisibleChips < 0)
+    ) {
+      throw new Error("maxVisibleChips must be a non-negative integer or null");
+    }
+
+    // Validate plugins (checked one by one by PluginManager)
+    if (!Array.isArray(this._options.plugins)) {
+      throw new Error("plugins must be an array");
+    }
+
     // Validate theme
     if (typeof this._options.theme !== "string") {
       throw new Error("theme must be a string");
@@ -169,8 +404,28 @@ class Options {
    * @param {Object} options - New options to merge
    */
   merge(options) {
-    this._options = this._merge(this._options, options);
-    this._validate();
+    const previous = this._options;
+
+    // App-wide defaults of optional groups apply when a group is turned on
+    const groups = {};
+    Object.keys(groupDefaults).forEach((key) => {
+      if (!this._isPlainObject(previous[key])) {
+        groups[key] = groupDefaults[key];
+      }
+    });
+
+    this._options = this._merge(
+      previous,
+      this._withGroupDefaults(options, groups),
+    );
+
+    // Invalid options leave the current ones untouched
+    try {
+      this._validate();
+    } catch (error) {
+      this._options = previous;
+      throw error;
+    }
   }
 
   /**
@@ -14,6 +14,54 @@ import DropdownAdapter from "../adapters/DropdownAdapter.js";
 import ResultsAdapter from "../adapters/ResultsAdapter.js";
 import KeyboardManager from "../managers/KeyboardManager.js";
 import AccessibilityManager from "../managers/AccessibilityManager.js";
+import PluginManager from "../managers/PluginManager.js";
+
+// Numbers instances of selects without an id attribute
+let instanceCounter = 0;
+
+// Live instances, by select element
+const registry = new Map();
+
+// Options setOptions() refuses, with the reason
+const INIT_ONLY_OPTIONS = {
+  data: "use data() to replace the items",
+  lazy: "it only applies while the component is created",
+  syncElement: "it only applies while the component is created",
+  syncElementValue: "it only applies while the component is created",
+  onInit: "the component is already initialized",
+  plugins: "plugins are set up while the component is created",
+};
+
+// Options read each time they are used - changing them only re-renders the
+// selection instead of rebuilding the component
+const LIVE_OPTIONS = [
+  "placeholder",
+  "allowClear",
+  "maximumSelectionLength",
+  "closeOnSelect",
+];
+
+// Selects enhanced by autoInit()
+const AUTO_INIT_SELECTOR = "select[data-vs]";
+
+// autoInit() observers, by root
+const autoInitObservers = new Map();
+
+/**
+ * Find the auto-init selects in a node, including the node itself
+ * @param {Node} node - Root, added or removed node
+ * @returns {HTMLSelectElement[]} Selects
+ */
+function findAutoInitSelects(node) {
+  // Text and comment nodes
+  if (typeof node.querySelectorAll !== "function") return [];
+
+  const selects = Array.from(node.querySelectorAll(AUTO_INIT_SELECTOR));
+  if (node.nodeType === 1 && node.matches(AUTO_INIT_SELECTOR)) {
+    selects.unshift(node);
+  }
+  return selects;
+}
 
 class VanillaSmartSelect extends EventEmitter {
   constructor(element, options = {}) {
@@ -25,6 +73,13 @@ class VanillaSmartSelect extends EventEmitter {
       throw new Error("Invalid element provided to VanillaSmartSelect");
     }
 
+    // Stable id prefix for generated element ids (ARIA relationships), unique
+    // per instance on the page. Prefixes derived from the select id always
+    // start with "vs-", so the counter-based ones ("vs_") can't collide
+    this.id = this.element.id
+      ? `vs-${this.element.id}`
+      : `vs_auto-${++instanceCounter}`;
+
     // Hide original select to prevent FOUC (Flash of Unstyled Content)
     this.element.setAttribute("data-vs-initializing", "true");
 
@@ -37,6 +92,9 @@ class VanillaSmartSelect extends EventEmitter {
     // Initialize options
     this.options = new Options(options);
 
+    // Global plugins (use()) and the plugins option
+    this.pluginManager = new PluginManager(this, this.options);
+
     // State
     this.isDisabled = false;
     this._isInitialized = false;
@@ -60,6 +118,186 @@ class VanillaSmartSelect extends EventEmitter {
     this._init();
   }
 
+  /**
+   * Register a plugin for every instance created afterwards
+   * Plugins replace or decorate adapters and hook into the lifecycle; a
+   * plugin registered again under the same name replaces the previous one
+   * @param {Object} plugin - Plugin
+   * @param {string} plugin.name - Unique name
+   * @param {Object} [plugin.adapters] - Adapter classes or decorators, by
+   *   type (data, ajax, selection, dropdown, results)
+   * @param {Function} [plugin.init] - (instance) once the instance is ready
+   * @param {Function} [plugin.render] - (instance) after the components are
+   *   rendered (init and setOptions rebuilds)
+   * @param {Function} [plugin.query] - (instance, params) before results are
+   *   looked up - may return new params
+   * @param {Function} [plugin.select] - (instance, item) before an item is
+   *   selected, from the UI, the API or the native select - return false to
+   *   cancel. The selection read from the markup at init doesn't go through it
+   * @param {Function} [plugin.destroy] - (instance) before the teardown
+   * @returns {typeof VanillaSmartSelect} The class, for chaining
+   * @throws {Error} If the plugin is invalid
+   *
+   * @example
+   * VanillaSmartSelect.use({
+   *   name: "trim-search",
+   *   query: (instance, params) => ({ ...params, term: params.term.trim() }),
+   * });
+   */
+  static use(plugin) {
+    PluginManager.register(plugin);
+    return this;
+  }
+
+  /**
+   * Set app-wide defaults for the instances created afterwards (theme,
+   * language, ajax headers...)
+   * Merged into the current defaults; instance options still win. ajax
+   * defaults only apply to instances with an ajax option
+   * @param {Object} options - Default options
+   * @throws {Error} If the options are invalid
+   *
+   * @example
+   * VanillaSmartSelect.setDefaults({
+   *   language: getLanguage("pt-BR"),
+   *   ajax: { headers: { Authorization: `Bearer ${token}` } },
+   * });
+   */
+  static setDefaults(options) {
+    Options.setDefaults(options);
+  }
+
+  /**
+   * Restore the library defaults (undo setDefaults)
+   */
+  static resetDefaults() {
+    Options.resetDefaults();
+  }
+
+  /**
+   * Get the instance of a select
+   * @param {string|HTMLElement} element - Selector or select element
+   * @returns {VanillaSmartSelect|null} Instance, or null if not enhanced
+   */
+  static getInstance(element) {
+    const select =
+      typeof element === "string" ? querySelector(element) : element;
+    return registry.get(select) || null;
+  }
+
+  /**
+   * Get all live instances
+   * @returns {VanillaSmartSelect[]} Instances, in creation order
+   */
+  static getAll() {
+    return Array.from(registry.values());
+  }
+
+  /**
+   * Destroy the instances whose select is inside root
+   * @param {Document|HTMLElement} [root=document] - e.g. the container of a
+   *   view being unmounted
+   * @returns {number} Number of instances destroyed
+   */
+  static destroyAll(root = document) {
+    const instances = VanillaSmartSelect.getAll().filter(
+      (instance) => root === document || root.contains(instance.element),
+    );
+
+    instances.forEach((instance) => instance.destroy());
+    return instances.length;
+  }
+
+  /**
+   * Enhance every select[data-vs] in root, with the options of its data-vs-*
+   * attributes (see Options.fromDataAttributes)
+   * Selects added to root later are enhanced as well, and the instances of
+   * selects removed from the page are destroyed
+   * @param {Document|HTMLElement} [root=document] - Where to look
+   * @param {Object} [config] - Auto-init configuration
+   * @param {boolean} [config.observe=true] - Watch root for added and
+   *   removed selects
+   * @returns {VanillaSmartSelect[]} Instances created
+   *
+   * @example
+   * // <select data-vs data-vs-placeholder="Pick a city" data-vs-allow-clear>
+   * VanillaSmartSelect.autoInit();
+   */
+  static autoInit(root = document, { observe = true } = {}) {
+    const instances = VanillaSmartSelect._autoInitNode(root);
+
+    if (
+      observe &&
+      !autoInitObservers.has(root) &&
+      typeof MutationObserver !== "undefined"
+    ) {
+      const observer = new MutationObserver((records) => {
+        records.forEach((record) => {
+          record.removedNodes.forEach((node) => {
+            findAutoInitSelects(node).forEach((select) => {
+              // Moved elements are still (or again) in the page
+              if (!select.isConnected && select._vanillaSmartSelect) {
+                select._vanillaSmartSelect.destroy();
+              }
+            });
+          });
+          record.addedNodes.forEach((node) => {
+            VanillaSmartSelect._autoInitNode(node);
+          });
+        });
+      });
+      observer.observe(root, { childList: true, subtree: true });
+      autoInitObservers.set(root, observer);
+    }
+
+    return instances;
+  }
+
+  /**
+   * Stop watching root for selects to enhance (see autoInit)
+   * Existing instances are kept
+   * @param {Document|HTMLElement} [root=document] - Root given to autoInit
+   */
+  static stopAutoInit(root = document) {
+    const observer = autoInitObservers.get(root);
+    if (observer) {
+      observer.disconnect();
+      autoInitObservers.delete(root);
+    }
+  }
+
+  /**
+   * Enhance the selects of a node that are not enhanced yet
+   * A select with invalid attributes fires vs:initError and is skipped; the
+   * error is logged unless a listener prevents the event's default
+   * @param {Node} node - Root or added node
+   * @returns {VanillaSmartSelect[]} Instances created
+   * @private
+   */
+  static _autoInitNode(node) {
+    return findAutoInitSelects(node)
+      .filter((select) => !select._vanillaSmartSelect)
+      .map((select) => {
+        try {
+          return new VanillaSmartSelect(
+            select,
+            Options.fromDataAttributes(select),
+          );
+        } catch (error) {
+          const event = new CustomEvent(EVENTS.INIT_ERROR, {
+            bubbles: true,
+            cancelable: true,
+            detail: { error },
+          });
+          if (select.dispatchEvent(event)) {
+            console.error("VanillaSmartSelect autoInit error:", error);
+          }
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
   /**
    * Get HTML element from selector or element
    * @param {string|HTMLElement} element - Selector or element
@@ -109,9 +347,12 @@ class VanillaSmartSelect extends EventEmitter {
     this._initializeManagers();
     this._bindEvents();
     this._loadInitialData();
+    this.pluginManager.run("render");
+    this.pluginManager.run("init");
 
     // Mark as initialized
     this._isInitialized = true;
+    registry.set(this.element, this);
 
     // Remove initializing attribute - select is now fully transformed
     this.element.removeAttribute("data-vs-initializing");
@@ -161,29 +402,39 @@ class VanillaSmartSelect extends EventEmitter {
    * @private
    */
   _initializeAdapters() {
-    // Initialize DataAdapter
-    this.dataAdapter = new DataAdapter(this, this.options);
-    this.dataAdapter.init();
+    // Adapter classes, as replaced or decorated by plugins
+    const plugins = this.pluginManager;
 
-    // Initialize AjaxAdapter if ajax option is configured
+    // Initialize DataAdapter (kept when the component is rebuilt)
+    if (!this.dataAdapter) {
+      const Data = plugins.getAdapter("data", DataAdapter);
+      this.dataAdapter = new Data(this, this.options);
+      this.dataAdapter.init();
+    }
+
+    // Initialize AjaxAdapter if ajax or dataSource option is configured
     const ajaxConfig = this.options.get("ajax");
-    if (ajaxConfig) {
-      this.ajaxAdapter = new AjaxAdapter(this, this.options, this.dataAdapter);
+    if (ajaxConfig || typeof this.options.get("dataSource") === "function") {
+      const Ajax = plugins.getAdapter("ajax", AjaxAdapter);
+      this.ajaxAdapter = new Ajax(this, this.options, this.dataAdapter);
     }
 
     // Initialize SelectionAdapter
-    this.selectionAdapter = new SelectionAdapter(this, this.options);
+    const Selection = plugins.getAdapter("selection", SelectionAdapter);
+    this.selectionAdapter = new Selection(this, this.options);
     this.selectionAdapter.bind(this.container, this.dataAdapter);
 
     // Get selection element AFTER binding (when it's rendered)
     const selectionElement = this.selectionAdapter.selection.getContainer();
 
     // Initialize DropdownAdapter
-    this.dropdownAdapter = new DropdownAdapter(this, this.options);
+    const Dropdown = plugins.getAdapter("dropdown", DropdownAdapter);
+    this.dropdownAdapter = new Dropdown(this, this.options);
     this.dropdownAdapter.bind(this.container, selectionElement);
 
     // Initialize ResultsAdapter
-    this.resultsAdapter = new ResultsAdapter(this, this.options);
+    const Results = plugins.getAdapter("results", ResultsAdapter);
+    this.resultsAdapter = new Results(this, this.options);
     const dropdownContainer = this.dropdownAdapter.getContainer();
     this.resultsAdapter.bind(
       dropdownContainer,
@@ -242,11 +493,24 @@ class VanillaSmartSelect extends EventEmitter {
     });
 
     this.on(EVENTS.SELECT, (data) => {
-      if (this.accessibilityManager && data.data) {
+      if (this.accessibilityManager && data.data && !data.batch) {
         this.accessibilityManager.announceSelection(data.data);
       }
     });
 
+    this.on(EVENTS.UNSELECT, (data) => {
+      if (this.accessibilityManager && data.data && !data.batch) {
+        this.accessibilityManager.announceRemoval(data.data);
+      }
+    });
+
+    // Batch changes are announced once
+    this.on(EVENTS.CHANGE, (data) => {
+      if (this.accessibilityManager && data && data.batch) {
+        this.accessibilityManager.announceBatch(data.batch);
+      }
+    });
+
     this.on(EVENTS.RESULTS, (data) => {
       if (this.accessibilityManager && data.results) {
         this.accessibilityManager.announceResultsCount(data.results.length);
@@ -324,6 +588,13 @@ class VanillaSmartSelect extends EventEmitter {
     if (this.selectionAdapter) {
       this.selectionAdapter.update();
     }
+
+    // Remote data: the markup only knows the chosen ids - fetch the items
+    if (this.ajaxAdapter && this.ajaxAdapter.canResolveIds()) {
+      this.ajaxAdapter.resolveSelection(
+        this.dataAdapter.current().map((item) => item.id),
+      );
+    }
   }
 
   /**
@@ -332,6 +603,7 @@ class VanillaSmartSelect extends EventEmitter {
 
   /**
    * Get or set the current value
+   * While a data function is loading, the value is set once its items arrive
    * @param {string|string[]|null} value - Value to set (optional)
    * @returns {string|string[]|VanillaSmartSelect} Current value or this for chaining
    */
@@ -348,6 +620,11 @@ class VanillaSmartSelect extends EventEmitter {
       return this.element.value;
     }
 
+    // A data function is still loading - set the value once its items arrive
+    if (this.dataAdapter && this._whenLoaded(() => this.val(value))) {
+      return this;
+    }
+
     // Set value - use select() to properly update UI
     if (value === null || value === "") {
       // Clear selection
@@ -361,8 +638,15 @@ class VanillaSmartSelect extends EventEmitter {
 
     // For multiple select, handle array of values
     if (Array.isArray(value)) {
+      // Items chosen before are known even if no longer loaded (AJAX)
+      const previous = this.dataAdapter ? this.dataAdapter.current() : [];
       this.clear(); // Clear first
-      value.forEach((id) => this.select(id));
+
+      // Ids that were never loaded are resolved remotely in one call
+      const unresolved = value.filter((id) => !this._selectById(id, previous));
+      if (unresolved.length > 0) {
+        this.ajaxAdapter.selectIds(unresolved);
+      }
       return this;
     }
 
@@ -391,6 +675,42 @@ class VanillaSmartSelect extends EventEmitter {
     return this;
   }
 
+  /**
+   * Load the data now instead of when first needed (lazy mode, data
+   * function)
+   * @returns {Promise<VanillaSmartSelect>} Resolves with this once loaded,
+   *   rejects if the data function failed
+   */
+  load() {
+    const loading = this.dataAdapter ? this.dataAdapter.load() : null;
+    return Promise.resolve(loading).then(() => {
+      if (this.dataAdapter && this.dataAdapter.loadError) {
+        throw this.dataAdapter.loadError;
+      }
+      return this;
+    });
+  }
+
+  /**
+   * Defer a selection change until a data function's items are loaded
+   * Changes queued while loading run in call order; they are dropped if the
+   * loading fails (vs:dataError) or the instance is destroyed
+   * @param {Function} change - Change to run
+   * @returns {boolean} True if the change was deferred
+   * @private
+   */
+  _whenLoaded(change) {
+    const loading = this.dataAdapter.load();
+    if (!loading) return false;
+
+    loading.then(() => {
+      if (this._isInitialized && !this.dataAdapter.loadError) {
+        change();
+      }
+    });
+    return true;
+  }
+
   /**
    * Open the dropdown
    */
@@ -566,23 +886,49 @@ class VanillaSmartSelect extends EventEmitter {
 
   /**
    * Select an item by ID (programmatically)
+   * While a data function is loading, the item is selected once it arrives
    * @param {string|number} id - Item ID to select
    * @returns {VanillaSmartSelect} this for chaining
    */
   select(id) {
-    if (!this.dataAdapter) {
+    if (!this.dataAdapter || this._whenLoaded(() => this.select(id))) {
       return this;
     }
 
+    if (!this._selectById(id)) {
+      this.ajaxAdapter.selectIds([id]);
+    }
+
+    return this;
+  }
+
+  /**
+   * Select a loaded item by ID
+   * @param {string|number} id - Item ID
+   * @param {Array} [known] - Other items to look in (e.g., the previous selection)
+   * @returns {boolean} False if the item is unknown and can be resolved
+   *   remotely (ajax.resolveIds), true otherwise
+   * @private
+   */
+  _selectById(id, known = []) {
     // Find item by ID in data
     const allData = this.dataAdapter.query({ term: "" });
-    const item = this._findItemById(allData, id);
+    const item =
+      this._findItemById(allData, id) || this._findItemById(known, id);
 
-    if (item && !item.disabled) {
-      this.dataAdapter.select(item);
+    if (item) {
+      if (!item.disabled) {
+        this.dataAdapter.select(item);
+      }
+      return true;
     }
 
-    return this;
+    // Items not fetched yet - already chosen ones are kept as they are
+    const chosen = this.dataAdapter
+      .current()
+      .some((selected) => String(selected.id) === String(id));
+
+    return chosen || !this.ajaxAdapter || !this.ajaxAdapter.canResolveIds();
   }
 
   /**
@@ -603,7 +949,7 @@ class VanillaSmartSelect extends EventEmitter {
 
     // Find item in current selection
     const current = this.dataAdapter.current();
-    const item = current.find((i) => i.id === id);
+    const item = current.find((i) => String(i.id) === String(id));
 
     if (item) {
       this.dataAdapter.unselect(item);
@@ -612,6 +958,60 @@ class VanillaSmartSelect extends EventEmitter {
     return this;
   }
 
+  /**
+   * Select all enabled items at once (multi-select only)
+   * The native select is updated once and a single vs:change is fired.
+   * Items beyond maximumSelectionLength are skipped. While a data function
+   * is loading, the items are selected once they arrive
+   * @param {Function|string} [filter] - (item) => boolean, or a search term
+   *   matched like the search box
+   * @returns {VanillaSmartSelect} this for chaining
+   */
+  selectAll(filter) {
+    if (!this.dataAdapter) {
+      return this;
+    }
+
+    if (!this.options.get("multiple")) {
+      console.warn("selectAll() only works with multiple select");
+      return this;
+    }
+
+    if (this._whenLoaded(() => this.selectAll(filter))) {
+      return this;
+    }
+
+    let predicate = typeof filter === "function" ? filter : null;
+    if (typeof filter === "string" && filter.trim() !== "") {
+      const searchManager = this.resultsAdapter.searchManager;
+      predicate = (item) => searchManager.matcher(filter, item);
+    }
+
+    const items = this.resultsAdapter.results
+      .getSelectableItems(this.dataAdapter.query({ term: "" }))
+      .filter((item) => !predicate || predicate(item));
+
+    this.dataAdapter.selectMany(items);
+
+    return this;
+  }
+
+  /**
+   * Unselect all items at once
+   * Unlike clear(), this fires vs:unselect for each item (flagged as a
+   * batch) and a single vs:change
+   * @returns {VanillaSmartSelect} this for chaining
+   */
+  unselectAll() {
+    if (!this.dataAdapter) {
+      return this;
+    }
+
+    this.dataAdapter.unselectMany(this.dataAdapter.current());
+
+    return this;
+  }
+
   /**
    * Get selected item(s) with full data
    * @returns {Object|Object[]|null} Selected item(s) or null
@@ -777,6 +1177,169 @@ class VanillaSmartSelect extends EventEmitter {
     return this.element.willValidate;
   }
 
+  /**
+   * Change options after init
+   * The changed options are applied to the adapters and components, which
+   * are rebuilt around the native select when needed. The data, the
+   * selection, the open state and event listeners are kept. Going from
+   * multiple to single keeps the first chosen item
+   * @param {Object} options - Options to change (objects such as ajax are
+   *   merged into the current ones)
+   * @returns {VanillaSmartSelect} this for chaining
+   * @throws {Error} If an option can't change after init or is invalid -
+   *   nothing is changed then
+   *
+   * @example
+   * select.setOptions({ multiple: true, placeholder: "Pick some" });
+   * select.setOptions({ ajax: { url: "/api/v2/cities" } });
+   */
+  setOptions(options) {
+    if (!this._isInitialized) {
+      return this;
+    }
+
+    if (!options || typeof options !== "object") {
+      throw new TypeError("setOptions expects an object of options");
+    }
+
+    Object.keys(options).forEach((key) => {
+      if (key in INIT_ONLY_OPTIONS) {
+        throw new Error(
+          `Option "${key}" can't be changed after init: ${INIT_ONLY_OPTIONS[key]}`,
+        );
+      }
+    });
+
+    // disabled goes through enable()/disable()
+    const { disabled, ...changes } = options;
+    const previous = this.options.getAll();
+
+    this.options.merge(changes);
+
+    const changed = Object.keys(changes).filter(
+      (key) => this.options.get(key) !== previous[key],
+    );
+
+    const multiple = Boolean(this.options.get("multiple"));
+    if (multiple !== Boolean(previous.multiple)) {
+      this.dataAdapter.setMultiple(multiple);
+    }
+
+    // Back to local data - read it again from the markup
+    const remote = this.options.get("ajax") || this.options.get("dataSource");
+    if ((previous.ajax || previous.dataSource) && !remote) {
+      this.dataAdapter.invalidate();
+    }
+
+    if (changed.some((key) => !LIVE_OPTIONS.includes(key))) {
+      this._rebuild();
+    } else if (changed.length > 0) {
+      this.selectionAdapter.update();
+    }
+
+    if (disabled !== undefined) {
+      if (disabled) {
+        this.disable();
+      } else {
+        this.enable();
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Get an option, or change one after init (see setOptions)
+   * @param {string} key - Option name (dot notation for nested settings,
+   *   e.g. "ajax.url")
+   * @param {*} [value] - New value
+   * @returns {*|VanillaSmartSelect} Option value, or this for chaining when
+   *   setting
+   */
+  option(key, value) {
+    if (value === undefined) {
+      return this.options.get(key);
+    }
+
+    // "ajax.url" → { ajax: { url: value } }
+    const options = key
+      .split(".")
+      .reduceRight((nested, name) => ({ [name]: nested }), value);
+
+    return this.setOptions(options);
+  }
+
+  /**
+   * Rebuild the adapters, managers and containers so they pick up changed
+   * options
+   * The data adapter (data and selection) and the instance's listeners are
+   * kept; an open dropdown is opened again without the DOM open events
+   * @private
+   */
+  _rebuild() {
+    const wasOpen = this.isOpen();
+    const activeElement = document.activeElement;
+    const hadFocus =
+      this.container.contains(activeElement) ||
+      this.dropdownAdapter.getContainer().contains(activeElement);
+
+    this._destroyComponents();
+
+    // Created again only if ajax or dataSource is still set
+    this.ajaxAdapter = null;
+
+    this._createContainers();
+    this._initializeAdapters();
+    this._initializeManagers();
+    this.selectionAdapter.update();
+    this.pluginManager.run("render");
+
+    if (this.isDisabled) {
+      this.container.classList.add("vs-container--disabled");
+    }
+
+    if (wasOpen) {
+      this.emit(EVENTS.OPENING);
+      this.emit(EVENTS.OPEN);
+    } else if (hadFocus) {
+      this.selectionAdapter.selection.getContainer().focus();
+    }
+  }
+
+  /**
+   * Destroy everything built around the native select except the data
+   * adapter
+   * @private
+   */
+  _destroyComponents() {
+    // Destroy adapters
+    if (this.ajaxAdapter && this.ajaxAdapter.destroy) {
+      this.ajaxAdapter.destroy();
+    }
+    if (this.selectionAdapter && this.selectionAdapter.destroy) {
+      this.selectionAdapter.destroy();
+    }
+    if (this.dropdownAdapter && this.dropdownAdapter.destroy) {
+      this.dropdownAdapter.destroy();
+    }
+    if (this.resultsAdapter && this.resultsAdapter.destroy) {
+      this.resultsAdapter.destroy();
+    }
+
+    // Destroy managers
+    if (this.keyboardManager && this.keyboardManager.destroy) {
+      this.keyboardManager.destroy();
+    }
+    if (this.accessibilityManager && this.accessibilityManager.destroy) {
+      this.accessibilityManager.destroy();
+    }
+
+    // Remove container
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+  }
+
   /**
    * Update the language dynamically
    * @param {Object} language - Language object (use getLanguage('pt-BR') to get language object)
@@ -825,6 +1388,7 @@ class VanillaSmartSelect extends EventEmitter {
     // Emit destroy event
     this.emit(EVENTS.DESTROY);
     this.trigger(this.element, EVENTS.DESTROY);
+    this.pluginManager.run("destroy");
 
     // Close dropdown if open
     if (this.isOpen()) {
@@ -835,31 +1399,7 @@ class VanillaSmartSelect extends EventEmitter {
     if (this.dataAdapter && this.dataAdapter.destroy) {
       this.dataAdapter.destroy();
     }
-    if (this.ajaxAdapter && this.ajaxAdapter.destroy) {
-      this.ajaxAdapter.destroy();
-    }
-    if (this.selectionAdapter && this.selectionAdapter.destroy) {
-      this.selectionAdapter.destroy();
-    }
-    if (this.dropdownAdapter && this.dropdownAdapter.destroy) {
-      this.dropdownAdapter.destroy();
-    }
-    if (this.resultsAdapter && this.resultsAdapter.destroy) {
-      this.resultsAdapter.destroy();
-    }
-
-    // Destroy managers
-    if (this.keyboardManager && this.keyboardManager.destroy) {
-      this.keyboardManager.destroy();
-    }
-    if (this.accessibilityManager && this.accessibilityManager.destroy) {
-      this.accessibilityManager.destroy();
-    }
-
-    // Remove container
-    if (this.container && this.container.parentNode) {
-      this.container.parentNode.removeChild(this.container);
-    }
+    this._destroyComponents();
 
     // Show original select
     this.element.style.display = "";
@@ -867,9 +1407,13 @@ class VanillaSmartSelect extends EventEmitter {
 
     // Remove reference from element
     delete this.element._vanillaSmartSelect;
+    if (registry.get(this.element) === this) {
+      registry.delete(this.element);
+    }
 
     // Remove all event listeners
     this.removeAllListeners();
+    this.pluginManager.destroy();
 
     // Mark as not initialized
     this._isInitialized = false;
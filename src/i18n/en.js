@@ -19,6 +19,7 @@ export const EN = {
   loading: "Loading...",
   loadingMore: "Loading more results...",
   errorLoading: "The results could not be loaded",
+  retry: "Retry",
 
   // Tagging (Phase 2)
   createNewTag: (args) => `Create tag: "${args.term}"`,
@@ -30,7 +31,11 @@ export const EN = {
   // Accessibility (ARIA labels)
   searchLabel: "Search options",
   clearSelection: "Clear selection",
+  selectAll: "Select all",
+  selectAllMatching: "Select all matching",
+  clearAll: "Clear all",
   removeItem: (args) => `Remove ${args.text}`,
+  selectedItems: "Selected items",
   selectOptions: "Select options",
 
   // Screen reader announcements
@@ -40,6 +45,15 @@ export const EN = {
     other: (args) => `${args.count} results available`,
   },
   selected: (args) => `Selected: ${args.text}`,
+  removed: (args) => `Removed: ${args.text}`,
+  itemsSelected: (args) =>
+    args.count === 1 ? "1 item selected" : `${args.count} items selected`,
+  selectionSummary: (args) => `${args.count} of ${args.total} selected`,
+  itemsRemoved: (args) =>
+    args.count === 1 ? "1 item removed" : `${args.count} items removed`,
+  moreItems: (args) => `+${args.count} more`,
+  itemMoved: (args) =>
+    `${args.text} moved to position ${args.position} of ${args.total}`,
 };
 
 export default EN;
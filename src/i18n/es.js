@@ -21,6 +21,7 @@ export const ES = {
   loading: "Cargando...",
   loadingMore: "Cargando más resultados...",
   errorLoading: "Los resultados no se pudieron cargar",
+  retry: "Reintentar",
 
   // Tagging (Phase 2)
   createNewTag: (args) => `Crear etiqueta: "${args.term}"`,
@@ -32,7 +33,11 @@ export const ES = {
   // Accessibility (ARIA labels)
   searchLabel: "Buscar opciones",
   clearSelection: "Limpiar selección",
+  selectAll: "Seleccionar todo",
+  selectAllMatching: "Seleccionar coincidencias",
+  clearAll: "Borrar todo",
   removeItem: (args) => `Eliminar ${args.text}`,
+  selectedItems: "Elementos seleccionados",
   selectOptions: "Seleccionar opciones",
 
   // Screen reader announcements
@@ -42,6 +47,19 @@ export const ES = {
     other: (args) => `${args.count} resultados disponibles`,
   },
   selected: (args) => `Seleccionado: ${args.text}`,
+  removed: (args) => `Eliminado: ${args.text}`,
+  itemsSelected: (args) =>
+    args.count === 1
+      ? "1 elemento seleccionado"
+      : `${args.count} elementos seleccionados`,
+  selectionSummary: (args) => `${args.count} de ${args.total} seleccionados`,
+  itemsRemoved: (args) =>
+    args.count === 1
+      ? "1 elemento eliminado"
+      : `${args.count} elementos eliminados`,
+  moreItems: (args) => `+${args.count} más`,
+  itemMoved: (args) =>
+    `${args.text} movido a la posición ${args.position} de ${args.total}`,
 };
 
 export default ES;
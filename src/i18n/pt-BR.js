@@ -21,6 +21,7 @@ export const PT_BR = {
   loading: "Carregando...",
   loadingMore: "Carregando mais resultados...",
   errorLoading: "Os resultados não puderam ser carregados",
+  retry: "Tentar novamente",
 
   // Tagging (Phase 2)
   createNewTag: (args) => `Criar tag: "${args.term}"`,
@@ -32,7 +33,11 @@ export const PT_BR = {
   // Accessibility (ARIA labels)
   searchLabel: "Buscar opções",
   clearSelection: "Limpar seleção",
+  selectAll: "Selecionar tudo",
+  selectAllMatching: "Selecionar correspondentes",
+  clearAll: "Limpar tudo",
   removeItem: (args) => `Remover ${args.text}`,
+  selectedItems: "Itens selecionados",
   selectOptions: "Selecionar opções",
 
   // Screen reader announcements
@@ -42,6 +47,17 @@ export const PT_BR = {
     other: (args) => `${args.count} resultados disponíveis`,
   },
   selected: (args) => `Selecionado: ${args.text}`,
+  removed: (args) => `Removido: ${args.text}`,
+  itemsSelected: (args) =>
+    args.count === 1
+      ? "1 item selecionado"
+      : `${args.count} itens selecionados`,
+  selectionSummary: (args) => `${args.count} de ${args.total} selecionados`,
+  itemsRemoved: (args) =>
+    args.count === 1 ? "1 item removido" : `${args.count} itens removidos`,
+  moreItems: (args) => `+${args.count} mais`,
+  itemMoved: (args) =>
+    `${args.text} movido para a posição ${args.position} de ${args.total}`,
 };
 
 export default PT_BR;
@@ -13,6 +13,14 @@ import VanillaSmartSelect, {
 import EventEmitter from "./core/EventEmitter.js";
 import Options from "./core/Options.js";
 
+// Adapters (base classes for plugins)
+import BaseAdapter from "./adapters/BaseAdapter.js";
+import DataAdapter from "./adapters/DataAdapter.js";
+import AjaxAdapter from "./adapters/AjaxAdapter.js";
+import SelectionAdapter from "./adapters/SelectionAdapter.js";
+import DropdownAdapter from "./adapters/DropdownAdapter.js";
+import ResultsAdapter from "./adapters/ResultsAdapter.js";
+
 // Constants
 import { EVENTS } from "./constants/events.js";
 import { ARIA } from "./constants/aria.js";
@@ -42,6 +50,14 @@ export {
   EventEmitter,
   Options,
 
+  // Adapters
+  BaseAdapter,
+  DataAdapter,
+  AjaxAdapter,
+  SelectionAdapter,
+  DropdownAdapter,
+  ResultsAdapter,
+
   // Constants
   EVENTS,
   ARIA,
@@ -8,6 +8,12 @@ class AccessibilityManager {
     this.instance = instance;
     this.options = options;
     this.liveRegion = null;
+    this.searchInput = null;
+
+    // Id of the highlighted option, kept to move aria-activedescendant along
+    // with focus
+    this._activeId = null;
+    this._searchFocusHandler = null;
   }
 
   /**
@@ -21,11 +27,31 @@ class AccessibilityManager {
     this.dropdownElement = dropdownElement;
     this.resultsElement = resultsElement;
 
+    // The inline search input takes the combobox role from the selection
+    const dropdownAdapter = this.instance.dropdownAdapter;
+    this.comboboxElement =
+      dropdownAdapter && dropdownAdapter.isInlineSearch()
+        ? dropdownAdapter.searchBox.getInput()
+        : selectionElement;
+    this.searchInput =
+      dropdownAdapter && dropdownAdapter.searchBox
+        ? dropdownAdapter.searchBox.getInput()
+        : null;
+
     // Create live region for announcements
     this._createLiveRegion();
 
     // Setup ARIA attributes
     this._setupARIA();
+
+    // The dropdown search takes focus after opening - move the active option
+    // reference to it
+    if (this.searchInput && this.searchInput !== this.comboboxElement) {
+      this._searchFocusHandler = () => {
+        this._syncActiveDescendant();
+      };
+      this.searchInput.addEventListener("focus", this._searchFocusHandler);
+    }
   }
 
   /**
@@ -49,19 +75,29 @@ class AccessibilityManager {
     if (!this.selectionElement || !this.dropdownElement || !this.resultsElement)
       return;
 
-    // Generate unique IDs
-    const baseId = `vs-${Math.random().toString(36).substr(2, 9)}`;
-    const resultsId = `${baseId}-results`;
+    // Stable per-instance id assigned by ResultsList
+    const resultsId = this.resultsElement.id;
+
+    // Inline search: the selection only groups the chips and the input
+    if (this.comboboxElement !== this.selectionElement) {
+      this.selectionElement.removeAttribute("role");
+      this.selectionElement.removeAttribute("aria-haspopup");
+      this.selectionElement.removeAttribute("aria-expanded");
+    }
+
+    // Tree results pop up a tree instead of a listbox
+    const popupRole = this.options.get("tree") ? "tree" : "listbox";
 
-    // Set IDs
-    this.resultsElement.setAttribute("id", resultsId);
+    // Combobox ARIA (ARIA 1.2: the popup is referenced with aria-controls)
+    this.comboboxElement.setAttribute("role", "combobox");
+    this.comboboxElement.setAttribute("aria-haspopup", popupRole);
+    this.comboboxElement.setAttribute("aria-expanded", "false");
+    this.comboboxElement.setAttribute("aria-controls", resultsId);
 
-    // Selection element ARIA
-    this.selectionElement.setAttribute("role", "combobox");
-    this.selectionElement.setAttribute("aria-haspopup", "listbox");
-    this.selectionElement.setAttribute("aria-expanded", "false");
-    this.selectionElement.setAttribute("aria-owns", resultsId);
-    this.selectionElement.setAttribute("aria-controls", resultsId);
+    // The dropdown search input drives the same listbox while it has focus
+    if (this.searchInput && this.searchInput !== this.comboboxElement) {
+      this.searchInput.setAttribute("aria-controls", resultsId);
+    }
 
     // Dropdown ARIA
     this.dropdownElement.setAttribute("role", "region");
@@ -72,7 +108,46 @@ class AccessibilityManager {
     );
 
     // Results ARIA
-    this.resultsElement.setAttribute("role", "listbox");
+    this.resultsElement.setAttribute("role", popupRole);
+    if (this.options.get("multiple")) {
+      this.resultsElement.setAttribute("aria-multiselectable", "true");
+    }
+
+    this._setupLabels(language);
+  }
+
+  /**
+   * Label the combobox and the listbox
+   * Uses the ariaLabel option, or the native select's <label>, and links
+   * the ariaDescribedBy option
+   * @param {Object} language - Language strings
+   * @private
+   */
+  _setupLabels(language) {
+    const ariaLabel = this.options.get("ariaLabel");
+    const ariaDescribedBy = this.options.get("ariaDescribedBy");
+    const element = this.instance.element;
+    const label = element.labels && element.labels[0];
+
+    if (ariaLabel) {
+      this.comboboxElement.setAttribute("aria-label", ariaLabel);
+      this.resultsElement.setAttribute("aria-label", ariaLabel);
+    } else if (label) {
+      if (!label.id) {
+        label.id = `${this.instance.id}-label`;
+      }
+      this.comboboxElement.setAttribute("aria-labelledby", label.id);
+      this.resultsElement.setAttribute("aria-labelledby", label.id);
+    } else {
+      this.resultsElement.setAttribute(
+        "aria-label",
+        language.selectOptions || "Select options",
+      );
+    }
+
+    if (ariaDescribedBy) {
+      this.comboboxElement.setAttribute("aria-describedby", ariaDescribedBy);
+    }
   }
 
   /**
@@ -87,10 +162,76 @@ class AccessibilityManager {
 
     // Set new message with a small delay to ensure screen reader picks it up
     setTimeout(() => {
+      // The instance may have been destroyed in the meantime
+      if (!this.liveRegion) return;
       this.liveRegion.textContent = message;
     }, 100);
   }
 
+  /**
+   * Announce item removal
+   * @param {Object} item - Removed item
+   */
+  announceRemoval(item) {
+    if (!item) return;
+
+    const language = this.options.get("language");
+    const message =
+      typeof language.removed === "function"
+        ? language.removed({ text: item.text })
+        : `Removed: ${item.text}`;
+
+    this.announce(message);
+  }
+
+  /**
+   * Announce a batch selection change (e.g. a whole group)
+   * @param {Object} batch - Batch details
+   * @param {Array} batch.selected - Items added to the selection
+   * @param {Array} batch.unselected - Items removed from the selection
+   */
+  announceBatch({ selected, unselected }) {
+    const language = this.options.get("language");
+    const messages = [];
+
+    if (selected.length > 0) {
+      messages.push(
+        typeof language.itemsSelected === "function"
+          ? language.itemsSelected({ count: selected.length })
+          : `${selected.length} items selected`,
+      );
+    }
+    if (unselected.length > 0) {
+      messages.push(
+        typeof language.itemsRemoved === "function"
+          ? language.itemsRemoved({ count: unselected.length })
+          : `${unselected.length} items removed`,
+      );
+    }
+
+    if (messages.length > 0) {
+      this.announce(messages.join(". "));
+    }
+  }
+
+  /**
+   * Announce that a chosen item was moved (sortable multiple select)
+   * @param {Object} item - Moved item
+   * @param {number} position - New 1-based position
+   * @param {number} total - Number of chosen items
+   */
+  announceReorder(item, position, total) {
+    if (!item) return;
+
+    const language = this.options.get("language");
+    const message =
+      typeof language.itemMoved === "function"
+        ? language.itemMoved({ text: item.text, position, total })
+        : `${item.text} moved to position ${position} of ${total}`;
+
+    this.announce(message);
+  }
+
   /**
    * Announce results count
    * @param {number} count - Number of results
@@ -132,33 +273,63 @@ class AccessibilityManager {
    * @param {number} index - Index of highlighted item
    */
   updateActiveDescendant(index) {
-    if (!this.selectionElement || !this.resultsElement) return;
+    if (!this.comboboxElement || !this.resultsElement) return;
 
-    const results = this.resultsElement.querySelectorAll(".vs-result");
+    // Look up by data-index so virtualized lists (where only a window of
+    // results is rendered) resolve the correct element
+    const activeItem =
+      index >= 0
+        ? this.resultsElement.querySelector(
+            `.vs-result[data-index="${index}"]`,
+          )
+        : null;
 
-    if (index >= 0 && index < results.length) {
-      const activeItem = results[index];
-
-      // Ensure item has an ID
-      if (!activeItem.id) {
-        activeItem.id = `vs-result-${index}`;
-      }
+    this._activeId = activeItem ? activeItem.id : null;
+    this._syncActiveDescendant();
+  }
 
-      this.selectionElement.setAttribute(
-        "aria-activedescendant",
-        activeItem.id,
-      );
-    } else {
-      this.selectionElement.removeAttribute("aria-activedescendant");
+  /**
+   * Get the element that has (or is about to get) focus while navigating
+   * With a dropdown search box that is the search input once the dropdown
+   * is open, otherwise the combobox
+   * @returns {HTMLElement} Focus owner
+   * @private
+   */
+  _getFocusOwner() {
+    if (
+      this.searchInput &&
+      (document.activeElement === this.searchInput || this.instance.isOpen())
+    ) {
+      return this.searchInput;
     }
+    return this.comboboxElement;
+  }
+
+  /**
+   * Point aria-activedescendant of the focus owner at the highlighted option
+   * Only one element references the option at a time
+   * @private
+   */
+  _syncActiveDescendant() {
+    const owner = this._getFocusOwner();
+
+    [this.comboboxElement, this.searchInput].forEach((element) => {
+      if (!element) return;
+
+      if (element === owner && this._activeId) {
+        element.setAttribute("aria-activedescendant", this._activeId);
+      } else {
+        element.removeAttribute("aria-activedescendant");
+      }
+    });
   }
 
   /**
    * Update ARIA when dropdown opens
    */
   onOpen() {
-    if (this.selectionElement) {
-      this.selectionElement.setAttribute("aria-expanded", "true");
+    if (this.comboboxElement) {
+      this.comboboxElement.setAttribute("aria-expanded", "true");
     }
   }
 
@@ -166,10 +337,12 @@ class AccessibilityManager {
    * Update ARIA when dropdown closes
    */
   onClose() {
-    if (this.selectionElement) {
-      this.selectionElement.setAttribute("aria-expanded", "false");
-      this.selectionElement.removeAttribute("aria-activedescendant");
+    this._activeId = null;
+
+    if (this.comboboxElement) {
+      this.comboboxElement.setAttribute("aria-expanded", "false");
     }
+    this._syncActiveDescendant();
   }
 
   /**
@@ -180,7 +353,15 @@ class AccessibilityManager {
       this.liveRegion.parentNode.removeChild(this.liveRegion);
     }
     this.liveRegion = null;
+
+    if (this.searchInput && this._searchFocusHandler) {
+      this.searchInput.removeEventListener("focus", this._searchFocusHandler);
+      this._searchFocusHandler = null;
+    }
+
     this.selectionElement = null;
+    this.comboboxElement = null;
+    this.searchInput = null;
     this.dropdownElement = null;
     this.resultsElement = null;
   }
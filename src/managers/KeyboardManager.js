@@ -71,8 +71,20 @@ class KeyboardManager {
   _handleSelectionKeydown(e) {
     if (!this.isEnabled) return;
 
+    // Already handled by a chip (e.g., Alt+Arrow reordering)
+    if (e.defaultPrevented) return;
+
+    // Keys in the inline search are handled by _handleSearchKeydown
+    if (e.target === this.searchInput) return;
+
     const key = e.which || e.keyCode;
 
+    // Keys on a focused chip (multiple select)
+    const choice = e.target.closest(".vs-selection__choice");
+    if (choice && this._handleChoiceKeydown(e, key, choice)) {
+      return;
+    }
+
     switch (key) {
       case KEYS.ENTER:
       case KEYS.SPACE:
@@ -98,6 +110,34 @@ class KeyboardManager {
         }
         break;
 
+      case KEYS.LEFT:
+        // Collapse or go to the parent branch (tree results)
+        if (this._handleTreeKey(key)) {
+          e.preventDefault();
+          break;
+        }
+
+        // Move focus into the chips, starting from the last one
+        if (!choice && this._focusChoiceAt(-1)) {
+          e.preventDefault();
+        }
+        break;
+
+      case KEYS.RIGHT:
+        // Expand or go to the first child (tree results)
+        if (this._handleTreeKey(key)) {
+          e.preventDefault();
+        }
+        break;
+
+      case KEYS.BACKSPACE:
+        // Remove the last chip (there is no search text on the selection)
+        if (!choice && this.options.get("multiple")) {
+          e.preventDefault();
+          this._removeLastChoice();
+        }
+        break;
+
       case KEYS.TAB:
         // Allow Tab to work normally on selection element
         // (It will only trigger when dropdown is closed)
@@ -106,6 +146,142 @@ class KeyboardManager {
     }
   }
 
+  /**
+   * Handle keydown on a focused chip (roving focus between chips)
+   * @param {KeyboardEvent} e - Keyboard event
+   * @param {number} key - Key code
+   * @param {HTMLElement} choice - Focused chip
+   * @returns {boolean} True if the key was handled
+   * @private
+   */
+  _handleChoiceKeydown(e, key, choice) {
+    const choices = this._getChoices();
+    const index = choices.indexOf(choice);
+
+    switch (key) {
+      case KEYS.LEFT:
+        // First chip keeps focus
+        e.preventDefault();
+        this._focusChoiceAt(Math.max(index - 1, 0));
+        return true;
+
+      case KEYS.RIGHT:
+        // Past the last chip, focus returns to the selection
+        e.preventDefault();
+        if (index + 1 < choices.length) {
+          this._focusChoiceAt(index + 1);
+        } else {
+          this._focusSelection();
+        }
+        return true;
+
+      case KEYS.HOME:
+        e.preventDefault();
+        this._focusChoiceAt(0);
+        return true;
+
+      case KEYS.END:
+        e.preventDefault();
+        this._focusChoiceAt(-1);
+        return true;
+
+      case KEYS.BACKSPACE:
+      case KEYS.DELETE: {
+        e.preventDefault();
+
+        // Backspace moves focus backwards, Delete forwards
+        const neighbours =
+          key === KEYS.BACKSPACE
+            ? [choices[index - 1], choices[index + 1]]
+            : [choices[index + 1], choices[index - 1]];
+        const next = neighbours.find(Boolean);
+
+        const selectionAdapter = this.instance.selectionAdapter;
+        if (selectionAdapter.removeChoice(choice.dataset.id)) {
+          if (
+            !next ||
+            !selectionAdapter.selection.focusChoice(next.dataset.id)
+          ) {
+            this._focusSelection();
+          }
+        }
+        return true;
+      }
+
+      case KEYS.ESC:
+        // Leave the chips and close the dropdown
+        this._focusSelection();
+        return false;
+    }
+
+    return false;
+  }
+
+  /**
+   * Focus the selection - or the inline search, which replaces it as tab stop
+   * @private
+   */
+  _focusSelection() {
+    if (this._isInlineSearch()) {
+      this.searchInput.focus();
+    } else {
+      this.selectionElement.focus();
+    }
+  }
+
+  /**
+   * Check if the search input is rendered inline in the selection area
+   * @returns {boolean} True for inline search
+   * @private
+   */
+  _isInlineSearch() {
+    const dropdownAdapter = this.instance.dropdownAdapter;
+    return Boolean(dropdownAdapter && dropdownAdapter.isInlineSearch());
+  }
+
+  /**
+   * Get the rendered chips (multiple select)
+   * @returns {HTMLElement[]} Chip elements
+   * @private
+   */
+  _getChoices() {
+    const selectionAdapter = this.instance.selectionAdapter;
+    return selectionAdapter ? selectionAdapter.selection.getChoices() : [];
+  }
+
+  /**
+   * Focus a chip by position
+   * @param {number} index - Chip index (negative counts from the end)
+   * @returns {boolean} True if a chip was focused
+   * @private
+   */
+  _focusChoiceAt(index) {
+    const choices = this._getChoices();
+    const choice = choices[index < 0 ? choices.length + index : index];
+
+    if (!choice) return false;
+
+    choice.focus();
+    return true;
+  }
+
+  /**
+   * Remove the last chosen item (multiple select)
+   * @returns {boolean} True if an item was removed
+   * @private
+   */
+  _removeLastChoice() {
+    // Checklist mode shows a summary instead of chips
+    if (this.resultsAdapter.results.isChecklist()) return false;
+
+    const current = this.instance.dataAdapter.current();
+    if (current.length === 0) return false;
+
+    return this.instance.selectionAdapter.removeChoice(
+      current[current.length - 1].id,
+    );
+  }
+
   /**
    * Handle keydown on search input
    * @param {KeyboardEvent} e - Keyboard event
@@ -116,6 +292,15 @@ class KeyboardManager {
 
     const key = e.which || e.keyCode;
 
+    // The inline search is visible while closed - keys open the dropdown first
+    if (this._isInlineSearch() && !this.instance.isOpen()) {
+      if (key === KEYS.ENTER || key === KEYS.UP || key === KEYS.DOWN) {
+        e.preventDefault();
+        this.instance.open();
+        return;
+      }
+    }
+
     switch (key) {
       case KEYS.ENTER:
         // Select highlighted item
@@ -141,7 +326,48 @@ class KeyboardManager {
         this._navigate(1);
         break;
 
+      case KEYS.BACKSPACE:
+        // Remove the last chip while the search is empty (multiple select)
+        if (this.searchInput.value === "" && this.options.get("multiple")) {
+          e.preventDefault();
+          this._removeLastChoice();
+        }
+        break;
+
+      case KEYS.LEFT:
+        // Tree results: with the caret at the start, collapse or go to the
+        // parent branch
+        if (this._isCaretAtEdge(false) && this._handleTreeKey(key)) {
+          e.preventDefault();
+          break;
+        }
+
+        // Inline search: with the caret at the start, move into the chips
+        if (
+          this._isInlineSearch() &&
+          this.searchInput.selectionStart === 0 &&
+          this.searchInput.selectionEnd === 0 &&
+          this._focusChoiceAt(-1)
+        ) {
+          e.preventDefault();
+        }
+        break;
+
+      case KEYS.RIGHT:
+        // Tree results: with the caret at the end, expand or go to the
+        // first child
+        if (this._isCaretAtEdge(true) && this._handleTreeKey(key)) {
+          e.preventDefault();
+        }
+        break;
+
       case KEYS.TAB:
+        // The inline search is the select's tab stop - Tab closes and moves on
+        if (this._isInlineSearch()) {
+          this.instance.close();
+          break;
+        }
+
         // Prevent Tab from leaving dropdown when open
         // User must explicitly close with Enter (select) or ESC (cancel)
         e.preventDefault();
@@ -162,21 +388,75 @@ class KeyboardManager {
   }
 
   /**
-   * Count total rendered items (including items in groups)
-   * @param {Array} items - Results array (may contain groups)
-   * @returns {number} Total count of rendered items
+   * Check if the search input caret is at the start or end of the text
+   * @param {boolean} atEnd - Check the end instead of the start
+   * @returns {boolean} True if the caret is there (with no text selected)
+   * @private
+   */
+  _isCaretAtEdge(atEnd) {
+    const input = this.searchInput;
+    const position = atEnd ? input.value.length : 0;
+
+    return input.selectionStart === position && input.selectionEnd === position;
+  }
+
+  /**
+   * Expand, collapse and move between tree branches with Left/Right
+   * Right expands a collapsed branch or moves to its first child, Left
+   * collapses an expanded branch or moves to the parent branch
+   * @param {number} key - Key code (KEYS.LEFT or KEYS.RIGHT)
+   * @returns {boolean} True if the key was handled
    * @private
    */
-  _countTotalItems(items) {
-    let count = 0;
-    for (const item of items) {
-      if (item.children && Array.isArray(item.children)) {
-        count += item.children.length; // Count children, not the group itself
-      } else {
-        count++;
+  _handleTreeKey(key) {
+    if (!this.resultsAdapter || !this.instance.isOpen()) return false;
+
+    const results = this.resultsAdapter.results;
+    if (!results.isTree()) return false;
+
+    const index = results.highlightedIndex;
+    const item = results.flatResults[index];
+    if (!item) return false;
+
+    const isBranch = results.isBranch(item);
+
+    if (key === KEYS.RIGHT) {
+      if (!isBranch) return false;
+
+      if (!results.isExpanded(item)) {
+        return this.resultsAdapter.toggleBranch(index, true);
+      }
+
+      // Already expanded - the first child follows the branch
+      if (results.getParentIndex(index + 1) === index) {
+        this._highlightAt(index + 1);
+        return true;
       }
+      return false;
+    }
+
+    if (isBranch && results.isExpanded(item)) {
+      return this.resultsAdapter.toggleBranch(index, false);
+    }
+
+    const parentIndex = results.getParentIndex(index);
+    if (parentIndex === -1) return false;
+
+    this._highlightAt(parentIndex);
+    return true;
+  }
+
+  /**
+   * Highlight a result and update aria-activedescendant
+   * @param {number} index - Flat index
+   * @private
+   */
+  _highlightAt(index) {
+    this.resultsAdapter.results.highlight(index);
+
+    if (this.instance.accessibilityManager) {
+      this.instance.accessibilityManager.updateActiveDescendant(index);
     }
-    return count;
   }
 
   /**
@@ -187,9 +467,12 @@ class KeyboardManager {
   _navigate(direction) {
     if (!this.resultsAdapter) return;
 
+    // Navigate in the flat index space kept by ResultsList, which covers
+    // every result even when only a window of them is rendered (virtual scroll)
     const results = this.resultsAdapter.results;
+    const renderedItems = results.flatResults;
     const currentIndex = results.highlightedIndex;
-    const totalResults = this._countTotalItems(results.results);
+    const totalResults = renderedItems.length;
 
     if (totalResults === 0) return;
 
@@ -202,9 +485,6 @@ class KeyboardManager {
       newIndex = 0;
     }
 
-    // Get flat list of rendered items for checking disabled state
-    const renderedItems = this._getFlatRenderedItems(results.results);
-
     // Skip disabled items
     while (renderedItems[newIndex]?.disabled) {
       newIndex += direction;
@@ -230,24 +510,6 @@ class KeyboardManager {
     }
   }
 
-  /**
-   * Get flat list of rendered items (excluding group headers)
-   * @param {Array} items - Results array (may contain groups)
-   * @returns {Array} Flat array of items
-   * @private
-   */
-  _getFlatRenderedItems(items) {
-    const flat = [];
-    for (const item of items) {
-      if (item.children && Array.isArray(item.children)) {
-        flat.push(...item.children); // Add children, not the group
-      } else {
-        flat.push(item);
-      }
-    }
-    return flat;
-  }
-
   /**
    * Navigate to first item
    * @private
@@ -256,7 +518,7 @@ class KeyboardManager {
     if (!this.resultsAdapter) return;
 
     const results = this.resultsAdapter.results;
-    const renderedItems = this._getFlatRenderedItems(results.results);
+    const renderedItems = results.flatResults;
     const totalResults = renderedItems.length;
 
     if (totalResults === 0) return;
@@ -283,7 +545,7 @@ class KeyboardManager {
     if (!this.resultsAdapter) return;
 
     const results = this.resultsAdapter.results;
-    const renderedItems = this._getFlatRenderedItems(results.results);
+    const renderedItems = results.flatResults;
     const totalResults = renderedItems.length;
 
     if (totalResults === 0) return;
@@ -309,7 +571,15 @@ class KeyboardManager {
   _selectHighlighted() {
     if (!this.resultsAdapter) return;
 
-    const highlighted = this.resultsAdapter.results.getHighlighted();
+    const results = this.resultsAdapter.results;
+    const highlighted = results.getHighlighted();
+
+    // Group rows select their items or expand/collapse (tree)
+    if (highlighted && results.isBranch(highlighted)) {
+      this.resultsAdapter.activateGroup(results.highlightedIndex);
+      return;
+    }
+
     if (highlighted) {
       this.resultsAdapter.selectItem(highlighted);
     }
@@ -0,0 +1,200 @@
+/**
+ * PluginManager - Manages the plugins of an instance
+ * Builds the adapter classes from the plugin decorators and runs the
+ * lifecycle hooks
+ */
+
+import BaseAdapter from "../adapters/BaseAdapter.js";
+
+// Plugins registered with VanillaSmartSelect.use(), applied to every
+// instance created afterwards
+const globalPlugins = [];
+
+// Adapters plugins can replace or decorate
+const ADAPTER_TYPES = ["data", "ajax", "selection", "dropdown", "results"];
+
+// Lifecycle hooks plugins can define
+const HOOKS = ["init", "render", "query", "select", "destroy"];
+
+/**
+ * Check a plugin definition
+ * @param {Object} plugin - Plugin
+ * @throws {Error} If the plugin is invalid
+ */
+function validatePlugin(plugin) {
+  if (!plugin || typeof plugin !== "object") {
+    throw new Error("A plugin must be an object");
+  }
+
+  if (typeof plugin.name !== "string" || plugin.name === "") {
+    throw new Error("A plugin must have a name");
+  }
+
+  Object.keys(plugin.adapters || {}).forEach((type) => {
+    if (!ADAPTER_TYPES.includes(type)) {
+      throw new Error(
+        `Plugin "${plugin.name}": unknown adapter "${type}" (expected one of: ${ADAPTER_TYPES.join(", ")})`,
+      );
+    }
+    if (typeof plugin.adapters[type] !== "function") {
+      throw new Error(
+        `Plugin "${plugin.name}": adapters.${type} must be a class or a function`,
+      );
+    }
+  });
+
+  HOOKS.forEach((hook) => {
+    if (plugin[hook] !== undefined && typeof plugin[hook] !== "function") {
+      throw new Error(`Plugin "${plugin.name}": ${hook} must be a function`);
+    }
+  });
+}
+
+class PluginManager {
+  /**
+   * @param {VanillaSmartSelect} instance - Instance
+   * @param {Options} options - Instance options (plugins)
+   * @throws {Error} If a plugin in the plugins option is invalid
+   */
+  constructor(instance, options) {
+    this.instance = instance;
+    this.options = options;
+
+    const instancePlugins = this.options.get("plugins") || [];
+    instancePlugins.forEach(validatePlugin);
+
+    // Instance plugins come last - they replace global plugins of the same
+    // name and decorate the adapters built by the global ones
+    this.plugins = globalPlugins
+      .filter(
+        (plugin) => !instancePlugins.some(({ name }) => name === plugin.name),
+      )
+      .concat(instancePlugins);
+  }
+
+  /**
+   * Register a plugin for every instance created afterwards
+   * A plugin registered again under the same name replaces the previous one
+   * @param {Object} plugin - Plugin
+   * @throws {Error} If the plugin is invalid
+   */
+  static register(plugin) {
+    validatePlugin(plugin);
+
+    const index = globalPlugins.findIndex(({ name }) => name === plugin.name);
+    if (index !== -1) {
+      globalPlugins.splice(index, 1, plugin);
+    } else {
+      globalPlugins.push(plugin);
+    }
+  }
+
+  /**
+   * Get the adapter class to instantiate
+   * Each plugin either replaces the class (a BaseAdapter subclass) or
+   * decorates the class built so far (a function returning a subclass of it)
+   * @param {string} type - Adapter type (data, ajax, selection, dropdown, results)
+   * @param {Function} Adapter - Built-in adapter class
+   * @returns {Function} Adapter class
+   *
+   * @example
+   * // Decorator
+   * adapters: {
+   *   results: (Base) =>
+   *     class extends Base {
+   *       update(term) {
+   *         super.update(term.trim());
+   *       }
+   *     },
+   * }
+   */
+  getAdapter(type, Adapter) {
+    return this.plugins.reduce((Current, plugin) => {
+      const factory = plugin.adapters && plugin.adapters[type];
+      if (!factory) return Current;
+
+      if (factory.prototype instanceof BaseAdapter) {
+        return factory;
+      }
+
+      const Decorated = factory(Current, this.instance);
+      if (typeof Decorated !== "function") {
+        throw new Error(
+          `Plugin "${plugin.name}": adapters.${type} must return a class`,
+        );
+      }
+      return Decorated;
+    }, Adapter);
+  }
+
+  /**
+   * Run a lifecycle hook on every plugin
+   * Errors are logged so one plugin can't break the component
+   * @param {string} hook - Hook name (init, render, destroy)
+   * @param {*} [data] - Hook data
+   */
+  run(hook, data) {
+    this.plugins.forEach((plugin) => {
+      this._call(plugin, hook, data);
+    });
+  }
+
+  /**
+   * Run the query hooks, each receiving the params returned by the previous
+   * one
+   * @param {Object} params - Query params ({ term })
+   * @returns {Object} Params to query with
+   */
+  query(params) {
+    return this.plugins.reduce((current, plugin) => {
+      const result = this._call(plugin, "query", current);
+      return result && typeof result === "object" ? result : current;
+    }, params);
+  }
+
+  /**
+   * Run the select hooks - any of them returning false cancels the selection
+   * Called for items selected through the UI, the API, ids resolved via ajax
+   * (with their loading placeholder) and options selected on the native
+   * select, which are unselected again when refused
+   * @param {Object} item - Item about to be selected
+   * @returns {boolean} True if the item can be selected
+   */
+  select(item) {
+    return this.plugins.every(
+      (plugin) => this._call(plugin, "select", item) !== false,
+    );
+  }
+
+  /**
+   * Call a plugin hook
+   * @param {Object} plugin - Plugin
+   * @param {string} hook - Hook name
+   * @param {*} data - Hook data
+   * @returns {*} Hook result, or undefined if the hook is missing or threw
+   * @private
+   */
+  _call(plugin, hook, data) {
+    if (typeof plugin[hook] !== "function") return undefined;
+
+    try {
+      return plugin[hook].call(plugin, this.instance, data);
+    } catch (error) {
+      console.error(
+        `Error in the ${hook} hook of plugin "${plugin.name}":`,
+        error,
+      );
+      return undefined;
+    }
+  }
+
+  /**
+   * Destroy the manager
+   */
+  destroy() {
+    this.plugins = [];
+    this.instance = null;
+  }
+}
+
+export default PluginManager;
@@ -4,11 +4,17 @@
  */
 
 import { removeDiacritics } from "../utils/diacritics.js";
+import { fuzzyMatch } from "../utils/fuzzy.js";
 
 class SearchManager {
   constructor(options) {
     this.options = options;
     this.matcher = null;
+
+    // Match details from the last search (keyed by item)
+    this._scores = new WeakMap();
+    this._matches = new WeakMap();
+
     this._setupMatcher();
   }
 
@@ -28,7 +34,7 @@ class SearchManager {
 
   /**
    * Default matcher function
-   * Searches in text with diacritics support
+   * Searches the configured fields with diacritics support
    * @param {string} term - Search term
    * @param {Object} item - Item to match against
    * @returns {boolean} Whether item matches
@@ -40,29 +46,179 @@ class SearchManager {
       return true;
     }
 
-    // Don't search in disabled items
-    if (item.disabled) {
-      return false;
+    return this.match(term, item) !== null;
+  }
+
+  /**
+   * Get the fields to search, normalized to { name, weight } objects
+   * Accepts field names or { name, weight } objects in the searchFields option
+   * @returns {Array<{name: string, weight: number}>} Search fields
+   * @private
+   */
+  _getSearchFields() {
+    const searchFields = this.options.get("searchFields");
+
+    if (!Array.isArray(searchFields) || searchFields.length === 0) {
+      return [{ name: "text", weight: 1 }];
     }
 
-    // Normalize search term and item text
-    const normalizedTerm = removeDiacritics(term.toLowerCase());
-    const normalizedText = removeDiacritics(item.text.toLowerCase());
+    return searchFields.map((field) =>
+      typeof field === "string"
+        ? { name: field, weight: 1 }
+        : { name: field.name, weight: field.weight ?? 1 },
+    );
+  }
+
+  /**
+   * Get the searchable string values of an item field
+   * Array fields (e.g., aliases) produce one value per entry
+   * @param {Object} item - Item
+   * @param {string} name - Field name
+   * @returns {string[]} Values
+   * @private
+   */
+  _getFieldValues(item, name) {
+    const value = item[name];
+
+    if (value === undefined || value === null) {
+      return [];
+    }
 
-    // Check matching strategy
+    const values = Array.isArray(value) ? value : [value];
+    return values
+      .filter((entry) => entry !== undefined && entry !== null)
+      .map((entry) => String(entry));
+  }
+
+  /**
+   * Score a single value against the term using the match strategy
+   * @param {string} term - Search term
+   * @param {string} value - Value to match
+   * @returns {number|null} Score or null if it does not match
+   * @private
+   */
+  _matchValue(term, value) {
     const matchStrategy = this.options.get("matchStrategy") || "contains";
 
+    if (matchStrategy === "fuzzy") {
+      const match = fuzzyMatch(term, value);
+      return match ? match.score : null;
+    }
+
+    // Normalize search term and value
+    const normalizedTerm = removeDiacritics(term.toLowerCase());
+    const normalizedValue = removeDiacritics(value.toLowerCase());
+
+    let matches;
     switch (matchStrategy) {
       case "startsWith":
-        return normalizedText.startsWith(normalizedTerm);
+        matches = normalizedValue.startsWith(normalizedTerm);
+        break;
 
       case "exact":
-        return normalizedText === normalizedTerm;
+        matches = normalizedValue === normalizedTerm;
+        break;
 
       case "contains":
       default:
-        return normalizedText.includes(normalizedTerm);
+        matches = normalizedValue.includes(normalizedTerm);
+    }
+
+    return matches ? 1 : null;
+  }
+
+  /**
+   * Match an item against the term across all search fields
+   * The field with the best weighted score is reported as the match
+   * @param {string} term - Search term
+   * @param {Object} item - Item to match
+   * @returns {{field: string, value: string, score: number}|null} Match details or null
+   */
+  match(term, item) {
+    // Don't search in disabled items
+    if (item.disabled) {
+      return null;
+    }
+
+    let best = null;
+
+    this._getSearchFields().forEach(({ name, weight }) => {
+      this._getFieldValues(item, name).forEach((value) => {
+        const valueScore = this._matchValue(term, value);
+        if (valueScore === null) return;
+
+        const weighted = valueScore * weight;
+        if (!best || weighted > best.score) {
+          best = { field: name, value, score: weighted };
+        }
+      });
+    });
+
+    return best;
+  }
+
+  /**
+   * Check if results should be ranked by score
+   * Ranking applies to the fuzzy strategy and to multi-field search (where
+   * field weights decide the order). Custom matchers keep full control over
+   * filtering and ordering
+   * @returns {boolean} True if results should be ranked by score
+   * @private
+   */
+  _isRanked() {
+    if (this.options.get("matcher")) {
+      return false;
+    }
+
+    return (
+      this.options.get("matchStrategy") === "fuzzy" ||
+      Array.isArray(this.options.get("searchFields"))
+    );
+  }
+
+  /**
+   * Compute the relevance score of an item
+   * @param {string} term - Search term
+   * @param {Object} item - Item to score
+   * @returns {number|null} Score (higher is better) or null if it does not match
+   */
+  score(term, item) {
+    const match = this.match(term, item);
+    return match ? match.score : null;
+  }
+
+  /**
+   * Get the relevance score assigned to an item by the last ranked search
+   * @param {Object} item - Result item
+   * @returns {number|null} Score or null if not scored
+   */
+  getScore(item) {
+    return this._scores.has(item) ? this._scores.get(item) : null;
+  }
+
+  /**
+   * Get which field matched an item in the last search
+   * @param {Object} item - Result item
+   * @returns {{field: string, value: string, score: number}|null} Match details or null
+   */
+  getMatch(item) {
+    return this._matches.get(item) || null;
+  }
+
+  /**
+   * Match an item and remember the match details
+   * @param {string} term - Search term
+   * @param {Object} item - Item to match
+   * @returns {Object|null} Match details or null
+   * @private
+   */
+  _record(term, item) {
+    const match = this.match(term, item);
+    if (match) {
+      this._scores.set(item, match.score);
+      this._matches.set(item, match);
     }
+    return match;
   }
 
   /**
@@ -76,40 +232,121 @@ class SearchManager {
       return [];
     }
 
+    // Forget match details from the previous search
+    this._scores = new WeakMap();
+    this._matches = new WeakMap();
+
     // If no search term, return all items
     if (!term || term.trim() === "") {
       return items;
     }
 
+    if (this._isRanked()) {
+      return this._searchRanked(items, term);
+    }
+
+    const results = this._filter(items, term);
+
+    // Remember which field matched (default matcher only)
+    if (!this.options.get("matcher")) {
+      this._recordAll(results, term);
+    }
+
+    return results;
+  }
+
+  /**
+   * Filter items with the matcher, descending into groups at any depth
+   * A group is kept with only its matching descendants, so every match
+   * keeps its ancestor path
+   * @param {Array} items - Items to filter
+   * @param {string} term - Search term
+   * @returns {Array} Filtered items
+   * @private
+   */
+  _filter(items, term) {
     const results = [];
 
     items.forEach((item) => {
-      // Handle groups (optgroups)
+      // Handle groups (optgroups and nested tree nodes)
       if (item.children && Array.isArray(item.children)) {
-        const filteredChildren = item.children.filter((child) =>
-          this.matcher(term, child),
-        );
+        const filteredChildren = this._filter(item.children, term);
 
-        // Include group if it has matching children
+        // Include group if it has matching descendants
         if (filteredChildren.length > 0) {
           results.push({
             ...item,
             children: filteredChildren,
           });
         }
-      } else {
+      } else if (this.matcher(term, item)) {
         // Regular item
-        if (this.matcher(term, item)) {
-          results.push(item);
-        }
+        results.push(item);
       }
     });
 
     return results;
   }
 
+  /**
+   * Record match details for filtered results (including group descendants)
+   * @param {Array} results - Filtered results
+   * @param {string} term - Search term
+   * @private
+   */
+  _recordAll(results, term) {
+    results.forEach((item) => {
+      if (item.children && Array.isArray(item.children)) {
+        this._recordAll(item.children, term);
+      } else {
+        this._record(term, item);
+      }
+    });
+  }
+
+  /**
+   * Search and sort items by relevance
+   * Children are sorted inside each group at every depth, and entries are
+   * sorted by their own score (groups use their best descendant's score).
+   * Sorting is stable for equal scores
+   * @param {Array} items - Items to search
+   * @param {string} term - Search term
+   * @returns {Array} Ranked items
+   * @private
+   */
+  _searchRanked(items, term) {
+    const entries = [];
+
+    items.forEach((item, index) => {
+      if (item.children && Array.isArray(item.children)) {
+        const rankedChildren = this._searchRanked(item.children, term);
+
+        if (rankedChildren.length > 0) {
+          const group = {
+            ...item,
+            children: rankedChildren,
+          };
+          const score = this._scores.get(rankedChildren[0]);
+          this._scores.set(group, score);
+          entries.push({ item: group, score, index });
+        }
+      } else {
+        const match = this._record(term, item);
+        if (match) {
+          entries.push({ item, score: match.score, index });
+        }
+      }
+    });
+
+    entries.sort((a, b) => b.score - a.score || a.index - b.index);
+
+    return entries.map((entry) => entry.item);
+  }
+
   /**
    * Highlight matching text in results
+   * With the fuzzy strategy every matched character range is marked,
+   * otherwise the first contiguous match is marked
    * @param {string} text - Original text
    * @param {string} term - Search term
    * @returns {string} HTML with highlighted text
@@ -119,6 +356,11 @@ class SearchManager {
       return text;
     }
 
+    if (this.options.get("matchStrategy") === "fuzzy") {
+      const match = fuzzyMatch(term, text);
+      return match ? this._markRanges(text, match.ranges) : text;
+    }
+
     const normalizedTerm = removeDiacritics(term.toLowerCase());
     const normalizedText = removeDiacritics(text.toLowerCase());
 
@@ -134,6 +376,26 @@ class SearchManager {
 
     return `${before}<mark>${match}</mark>${after}`;
   }
+
+  /**
+   * Wrap character ranges of a text in <mark> elements
+   * @param {string} text - Original text
+   * @param {Array<[number, number]>} ranges - Sorted, non-overlapping ranges
+   * @returns {string} HTML with highlighted ranges
+   * @private
+   */
+  _markRanges(text, ranges) {
+    let html = "";
+    let cursor = 0;
+
+    ranges.forEach(([start, end]) => {
+      html += text.substring(cursor, start);
+      html += `<mark>${text.substring(start, end)}</mark>`;
+      cursor = end;
+    });
+
+    return html + text.substring(cursor);
+  }
 }
 
 export default SearchManager;
@@ -0,0 +1,171 @@
+/**
+ * Cache Utility
+ * Bounded least-recently-used cache with expiring entries, optionally kept
+ * in sessionStorage
+ */
+
+export class LRUCache {
+  /**
+   * @param {Object} [config] - Cache configuration
+   * @param {number} [config.maxEntries=100] - Entries kept before the least
+   *   recently used ones are dropped
+   * @param {number} [config.ttl=0] - Entry lifetime in ms (0 = no expiry)
+   * @param {string|null} [config.storageKey=null] - sessionStorage key to
+   *   persist the entries under
+   */
+  constructor({ maxEntries = 100, ttl = 0, storageKey = null } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.storageKey = storageKey;
+
+    // Map keeps insertion order - the first key is the least recently used
+    this.entries = new Map();
+
+    this._load();
+  }
+
+  /**
+   * Get a value, marking it as recently used
+   * @param {string} key - Entry key
+   * @returns {*} Value, or undefined if missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (this._isExpired(entry)) {
+      this.delete(key);
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Check if a live entry exists
+   * @param {string} key - Entry key
+   * @returns {boolean} True if the key is cached and not expired
+   */
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  /**
+   * Store a value, dropping the least recently used entries past maxEntries
+   * @param {string} key - Entry key
+   * @param {*} value - Value (must be JSON serializable when persisted)
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expires: this.ttl > 0 ? Date.now() + this.ttl : null,
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this._save();
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Entry key
+   */
+  delete(key) {
+    if (this.entries.delete(key)) {
+      this._save();
+    }
+  }
+
+  /**
+   * Get the live values without changing their recency
+   * @returns {Array} Values of the entries that did not expire, least
+   *   recently used first
+   */
+  values() {
+    const values = [];
+
+    for (const entry of this.entries.values()) {
+      if (!this._isExpired(entry)) {
+        values.push(entry.value);
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Remove all entries, including the persisted ones
+   */
+  clear() {
+    this.entries.clear();
+
+    if (this.storageKey) {
+      try {
+        window.sessionStorage.removeItem(this.storageKey);
+      } catch {
+        // Storage unavailable - nothing to remove
+      }
+    }
+  }
+
+  /**
+   * Check if an entry outlived the TTL
+   * @param {Object} entry - Stored entry
+   * @returns {boolean} True if expired
+   * @private
+   */
+  _isExpired(entry) {
+    return entry.expires !== null && entry.expires <= Date.now();
+  }
+
+  /**
+   * Restore the persisted entries that did not expire
+   * @private
+   */
+  _load() {
+    if (!this.storageKey) return;
+
+    try {
+      const stored = JSON.parse(
+        window.sessionStorage.getItem(this.storageKey) || "[]",
+      );
+
+      stored.forEach(([key, entry]) => {
+        if (entry && !this._isExpired(entry)) {
+          this.entries.set(key, entry);
+        }
+      });
+    } catch {
+      // Storage unavailable or corrupted - start empty
+      this.entries.clear();
+    }
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Persist the entries, in recency order
+   * @private
+   */
+  _save() {
+    if (!this.storageKey) return;
+
+    try {
+      window.sessionStorage.setItem(
+        this.storageKey,
+        JSON.stringify(Array.from(this.entries)),
+      );
+    } catch {
+      // Storage full or unavailable - keep the in-memory cache only
+    }
+  }
+}
+
+export default LRUCache;
@@ -0,0 +1,227 @@
+/**
+ * Fuzzy matching utilities
+ * Scores how well a search term matches a text, tolerating typos and
+ * out-of-order characters, and reports which character ranges matched
+ */
+
+import { removeDiacritics } from "./diacritics.js";
+
+/**
+ * Normalize a string for comparison (lowercase, no diacritics)
+ * @param {string} str - String to normalize
+ * @returns {string} Normalized string
+ * @private
+ */
+function _normalize(str) {
+  return removeDiacritics(String(str).toLowerCase());
+}
+
+/**
+ * Check if a position in the text starts a word
+ * @param {string} text - Normalized text
+ * @param {number} index - Character index
+ * @returns {boolean} True if index is at a word boundary
+ * @private
+ */
+function _isWordStart(text, index) {
+  return index === 0 || /[\s\-_./,()]/.test(text[index - 1]);
+}
+
+/**
+ * Merge a sorted list of character positions into [start, end) ranges
+ * @param {number[]} positions - Sorted character positions
+ * @returns {Array<[number, number]>} Ranges
+ * @private
+ */
+function _positionsToRanges(positions) {
+  const ranges = [];
+
+  positions.forEach((pos) => {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === pos) {
+      last[1] = pos + 1;
+    } else {
+      ranges.push([pos, pos + 1]);
+    }
+  });
+
+  return ranges;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein + adjacent transpositions)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ * @private
+ */
+function _editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = [];
+
+  for (let i = 0; i < rows; i++) {
+    d[i] = [i];
+  }
+  for (let j = 1; j < cols; j++) {
+    d[0][j] = j;
+  }
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1, // deletion
+        d[i][j - 1] + 1, // insertion
+        d[i - 1][j - 1] + cost, // substitution
+      );
+
+      // Transposition of two adjacent characters ("teh" -> "the")
+      if (
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[rows - 1][cols - 1];
+}
+
+/**
+ * Maximum number of typos tolerated for a term length
+ * @param {number} length - Term length
+ * @returns {number} Allowed edit distance
+ * @private
+ */
+function _maxTypos(length) {
+  if (length < 4) return 0;
+  if (length < 6) return 1;
+  if (length < 10) return 2;
+  return 3;
+}
+
+/**
+ * Match term as a contiguous substring
+ * @private
+ */
+function _matchContiguous(term, text) {
+  const index = text.indexOf(term);
+  if (index === -1) return null;
+
+  let score = 100;
+  if (index === 0) {
+    score += 50;
+  } else if (_isWordStart(text, index)) {
+    score += 25;
+  }
+
+  // Prefer earlier matches and shorter texts
+  score -= Math.min(index, 20) * 0.5;
+  score -= Math.min(text.length - term.length, 50) * 0.1;
+
+  return { score, ranges: [[index, index + term.length]] };
+}
+
+/**
+ * Match term characters in order, allowing gaps ("brln" -> "Berlin")
+ * @private
+ */
+function _matchSubsequence(term, text) {
+  const positions = [];
+  let from = 0;
+
+  for (const char of term) {
+    if (char === " ") continue;
+    const pos = text.indexOf(char, from);
+    if (pos === -1) return null;
+    positions.push(pos);
+    from = pos + 1;
+  }
+
+  if (positions.length === 0) return null;
+
+  // Reject matches scattered across the whole text - they are mostly noise
+  const span = positions[positions.length - 1] - positions[0] + 1;
+  const density = positions.length / span;
+  if (density < 0.25) return null;
+
+  let score = 50 * density;
+
+  if (_isWordStart(text, positions[0])) {
+    score += 10;
+  }
+
+  return { score, ranges: _positionsToRanges(positions) };
+}
+
+/**
+ * Match term against windows of the text with a small edit distance
+ * Handles typos and swapped characters ("berlni" -> "Berlin")
+ * @private
+ */
+function _matchTypos(term, text) {
+  const maxTypos = _maxTypos(term.length);
+  if (maxTypos === 0) return null;
+
+  // Quick reject: most of the term's characters must appear in the text
+  let present = 0;
+  for (const char of term) {
+    if (text.includes(char)) present++;
+  }
+  if (present < term.length - maxTypos) return null;
+
+  let best = null;
+
+  for (let start = 0; start < text.length; start++) {
+    // Same-length windows first so ties favour the closest alignment
+    for (const delta of [0, -1, 1]) {
+      const length = term.length + delta;
+      if (length <= 0 || start + length > text.length) continue;
+
+      const distance = _editDistance(term, text.substr(start, length));
+      if (distance <= maxTypos && (!best || distance < best.distance)) {
+        best = { distance, start, length };
+      }
+    }
+
+    if (best && best.distance === 0) break;
+  }
+
+  if (!best) return null;
+
+  let score = 30 * (1 - best.distance / term.length);
+  if (_isWordStart(text, best.start)) {
+    score += 5;
+  }
+
+  return { score, ranges: [[best.start, best.start + best.length]] };
+}
+
+/**
+ * Fuzzy match a term against a text
+ * Contiguous matches score highest, then in-order character matches, then
+ * matches with typos. Ranges refer to character positions in the text.
+ * @param {string} term - Search term
+ * @param {string} text - Text to match against
+ * @returns {{score: number, ranges: Array<[number, number]>}|null} Match or null
+ */
+export function fuzzyMatch(term, text) {
+  const normalizedTerm = _normalize(term).trim();
+  const normalizedText = _normalize(text || "");
+
+  if (!normalizedTerm) {
+    return { score: 0, ranges: [] };
+  }
+
+  return (
+    _matchContiguous(normalizedTerm, normalizedText) ||
+    _matchSubsequence(normalizedTerm, normalizedText) ||
+    _matchTypos(normalizedTerm, normalizedText)
+  );
+}
+
+export default fuzzyMatch;
@@ -13,10 +13,15 @@ import { createElement } from "./dom.js";
  * @param {Object} options - Rendering options
  * @param {string} options.defaultText - Default text to use if template fails (defaults to item.text)
  * @param {boolean} options.useTextContent - Use textContent instead of createElement for fallback (defaults to false)
+ * @param {*} options.context - Extra argument passed to the template function (e.g., search match details)
  * @returns {boolean} True if template was applied successfully, false if fallback was used
  */
 export function applyTemplate(templateFn, item, targetElement, options = {}) {
-  const { defaultText = item.text, useTextContent = false } = options;
+  const {
+    defaultText = item.text,
+    useTextContent = false,
+    context = undefined,
+  } = options;
 
   // If no template function provided, use default rendering
   if (!templateFn || typeof templateFn !== "function") {
@@ -26,7 +31,8 @@ export function applyTemplate(templateFn, item, targetElement, options = {}) {
 
   try {
     // Call template function
-    const customContent = templateFn(item);
+    const customContent =
+      context === undefined ? templateFn(item) : templateFn(item, context);
 
     // Handle HTMLElement return
     if (customContent instanceof HTMLElement) {
@@ -0,0 +1,173 @@
+import VanillaSmartSelect from "../src/index.js";
+
+function createSelect() {
+  document.body.innerHTML = '<select id="city"></select>';
+  return document.getElementById("city");
+}
+
+// Error thrown by the transport for an HTTP status
+function httpError(status) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  return error;
+}
+
+const CITIES = [{ id: "1", text: "Paris" }];
+
+describe("ajax timeouts and retries", () => {
+  let instance;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    if (instance) instance.destroy();
+    instance = null;
+    jest.useRealTimers();
+  });
+
+  function createRemote(transport, ajax = {}) {
+    const select = createSelect();
+    const errors = [];
+    select.addEventListener("vs:ajaxError", (event) => {
+      errors.push(event.detail);
+    });
+
+    instance = new VanillaSmartSelect(select, {
+      ajax: { url: "/api/cities", transport, ...ajax },
+    });
+    return errors;
+  }
+
+  // Requests sent for a term (the select also queries "" at init)
+  function requests(transport, term) {
+    return transport.mock.calls.filter(([params]) => params.term === term)
+      .length;
+  }
+
+  test("retries failures with exponential backoff", async () => {
+    const transport = jest.fn((params) =>
+      params.term === "par" && requests(transport, "par") <= 2
+        ? Promise.reject(new Error("offline"))
+        : Promise.resolve(CITIES),
+    );
+    const errors = createRemote(transport, { retries: 2, retryDelay: 100 });
+
+    const response = instance.ajaxAdapter.query({ term: "par", page: 1 });
+    await jest.advanceTimersByTimeAsync(99);
+    expect(requests(transport, "par")).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(requests(transport, "par")).toBe(2);
+
+    // The second retry waits twice as long
+    await jest.advanceTimersByTimeAsync(199);
+    expect(requests(transport, "par")).toBe(2);
+    await jest.advanceTimersByTimeAsync(1);
+
+    expect((await response).results.map((item) => item.text)).toEqual([
+      "Paris",
+    ]);
+    expect(requests(transport, "par")).toBe(3);
+    expect(errors).toEqual([]);
+  });
+
+  test("doesn't retry client errors", async () => {
+    const transport = jest.fn((params) =>
+      params.term === "par"
+        ? Promise.reject(httpError(404))
+        : Promise.resolve([]),
+    );
+    const errors = createRemote(transport, { retries: 2, retryDelay: 100 });
+
+    const response = await instance.ajaxAdapter.query({ term: "par", page: 1 });
+
+    expect(requests(transport, "par")).toBe(1);
+    expect(response.error.status).toBe(404);
+    expect(errors).toEqual([
+      expect.objectContaining({ type: "http", status: 404 }),
+    ]);
+  });
+
+  test("reports the last error once the retries are used up", async () => {
+    const transport = jest.fn((params) =>
+      params.term === "par"
+        ? Promise.reject(httpError(503))
+        : Promise.resolve([]),
+    );
+    const errors = createRemote(transport, { retries: 1, retryDelay: 10 });
+
+    const response = instance.ajaxAdapter.query({ term: "par", page: 1 });
+    await jest.advanceTimersByTimeAsync(10);
+
+    expect((await response).error.status).toBe(503);
+    expect(requests(transport, "par")).toBe(2);
+    expect(errors).toHaveLength(1);
+  });
+
+  test("times out slow requests and aborts them", async () => {
+    const abort = jest.fn();
+    const transport = jest.fn((params) => {
+      if (params.term !== "par") return Promise.resolve([]);
+
+      const request = new Promise((resolve) => {
+        setTimeout(() => resolve(CITIES), 1000);
+      });
+      request.abort = abort;
+      return request;
+    });
+    const errors = createRemote(transport, { timeout: 300 });
+
+    const response = instance.ajaxAdapter.query({ term: "par", page: 1 });
+    await jest.advanceTimersByTimeAsync(300);
+
+    expect((await response).error.name).toBe("TimeoutError");
+    expect(abort).toHaveBeenCalled();
+    expect(errors).toEqual([
+      expect.objectContaining({ type: "timeout", status: null }),
+    ]);
+  });
+
+  test("a new query cancels the pending retries", async () => {
+    const transport = jest.fn((params) =>
+      params.term === "par"
+        ? Promise.reject(new Error("offline"))
+        : Promise.resolve(CITIES),
+    );
+    const errors = createRemote(transport, { retries: 3, retryDelay: 100 });
+
+    const first = instance.ajaxAdapter.query({ term: "par", page: 1 });
+    await jest.advanceTimersByTimeAsync(0);
+    instance.ajaxAdapter.query({ term: "pa", page: 1 });
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect((await first).results).toEqual([]);
+    expect(requests(transport, "par")).toBe(1);
+    expect(errors).toEqual([]);
+  });
+
+  test("the retry button runs the failed search again", async () => {
+    let fail = true;
+    const transport = jest.fn(() =>
+      fail ? Promise.reject(httpError(500)) : Promise.resolve(CITIES),
+    );
+    createRemote(transport, { delay: 0 });
+
+    instance.open();
+    await jest.advanceTimersByTimeAsync(0);
+    const retry = document.querySelector(".vs-results__retry");
+    expect(retry).not.toBeNull();
+
+    fail = false;
+    retry.click();
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(document.querySelector(".vs-results__error")).toBeNull();
+    expect(
+      Array.from(document.querySelectorAll(".vs-result")).map((result) =>
+        result.textContent.trim(),
+      ),
+    ).toEqual(["Paris"]);
+  });
+});
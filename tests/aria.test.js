@@ -0,0 +1,142 @@
+import VanillaSmartSelect from "../src/index.js";
+
+describe("generated ids", () => {
+  let instances = [];
+
+  afterEach(() => {
+    instances.forEach((instance) => instance.destroy());
+    instances = [];
+  });
+
+  test("selects without an id don't collide with numeric ids", () => {
+    document.body.innerHTML = `
+      <select id="1"><option value="a">A</option></select>
+      <select><option value="b">B</option></select>
+    `;
+    const [withId, withoutId] = document.querySelectorAll("select");
+    instances = [
+      new VanillaSmartSelect(withId),
+      new VanillaSmartSelect(withoutId),
+    ];
+
+    expect(instances[0].id).toBe("vs-1");
+    expect(instances[1].id).toMatch(/^vs_auto-\d+$/);
+
+    const ids = Array.from(document.querySelectorAll("[id^='vs']")).map(
+      (element) => element.id,
+    );
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  test("counter-based ids don't collide with a select id like auto-1", () => {
+    document.body.innerHTML = '<select><option value="a">A</option></select>';
+    instances = [new VanillaSmartSelect("select")];
+    const counter = instances[0].id.match(/\d+$/)[0];
+
+    document.body.insertAdjacentHTML(
+      "beforeend",
+      `<select id="auto-${counter}"><option value="b">B</option></select>`,
+    );
+    instances.push(new VanillaSmartSelect(`#auto-${counter}`));
+
+    expect(instances[0].id).not.toBe(instances[1].id);
+    expect(
+      document.querySelectorAll(`[id="${instances[1].id}-results"]`),
+    ).toHaveLength(1);
+  });
+});
+
+describe("combobox pattern", () => {
+  let instance;
+
+  const DOWN = 40;
+  const ENTER = 13;
+
+  function press(target, keyCode) {
+    target.dispatchEvent(
+      new KeyboardEvent("keydown", {
+        keyCode,
+        bubbles: true,
+        cancelable: true,
+      }),
+    );
+  }
+
+  afterEach(() => {
+    if (instance) instance.destroy();
+    instance = null;
+  });
+
+  test("labels the combobox and the listbox from the native label", () => {
+    document.body.innerHTML = `
+      <label for="country">Country</label>
+      <select id="country"><option value="de">Germany</option></select>
+    `;
+    instance = new VanillaSmartSelect("#country");
+
+    const combobox = instance.container.querySelector(".vs-selection");
+    expect(combobox.getAttribute("role")).toBe("combobox");
+    expect(combobox.getAttribute("aria-haspopup")).toBe("listbox");
+    expect(combobox.getAttribute("aria-controls")).toBe("vs-country-results");
+    expect(combobox.getAttribute("aria-labelledby")).toBe("vs-country-label");
+
+    const listbox = document.getElementById("vs-country-results");
+    expect(listbox.getAttribute("role")).toBe("listbox");
+    expect(listbox.getAttribute("aria-labelledby")).toBe("vs-country-label");
+    expect(document.getElementById("vs-country-label").textContent).toBe(
+      "Country",
+    );
+  });
+
+  test("the search points aria-activedescendant to the highlighted option", () => {
+    document.body.innerHTML = `
+      <select id="country">
+        <option value="de">Germany</option>
+        <option value="fr">France</option>
+      </select>
+    `;
+    instance = new VanillaSmartSelect("#country");
+    const combobox = instance.container.querySelector(".vs-selection");
+
+    instance.open();
+    expect(combobox.getAttribute("aria-expanded")).toBe("true");
+
+    const search = document.querySelector(".vs-search");
+    press(search, DOWN);
+    expect(search.getAttribute("aria-activedescendant")).toBe(
+      "vs-country-result-1",
+    );
+
+    press(search, ENTER);
+    expect(instance.val()).toBe("fr");
+    expect(
+      document
+        .getElementById("vs-country-result-1")
+        .getAttribute("aria-selected"),
+    ).toBe("true");
+    expect(search.hasAttribute("aria-activedescendant")).toBe(false);
+    expect(combobox.getAttribute("aria-expanded")).toBe("false");
+  });
+
+  test("multiple selects have a multiselectable listbox", () => {
+    document.body.innerHTML = `
+      <select id="numbers" multiple>
+        <option value="1">One</option>
+        <option value="2">Two</option>
+      </select>
+    `;
+    instance = new VanillaSmartSelect("#numbers");
+    instance.select("2");
+
+    expect(
+      document
+        .getElementById("vs-numbers-results")
+        .getAttribute("aria-multiselectable"),
+    ).toBe("true");
+    expect(
+      document
+        .getElementById("vs-numbers-result-1")
+        .getAttribute("aria-selected"),
+    ).toBe("true");
+  });
+});
@@ -0,0 +1,150 @@
+import VanillaSmartSelect, { Options } from "../src/index.js";
+
+// MutationObserver callbacks run as microtasks
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function createSelect(attributes = "") {
+  const wrapper = document.createElement("div");
+  wrapper.innerHTML = `<select ${attributes}><option value="1">One</option></select>`;
+  return wrapper.firstElementChild;
+}
+
+describe("Options.fromDataAttributes", () => {
+  test("reads data-vs-* attributes with the type of the defaults", () => {
+    const select = createSelect(
+      'data-vs data-vs-placeholder="Pick one" data-vs-allow-clear ' +
+        'data-vs-maximum-selection-length="2" data-vs-close-on-select="false"',
+    );
+
+    expect(Options.fromDataAttributes(select)).toEqual({
+      placeholder: "Pick one",
+      allowClear: true,
+      maximumSelectionLength: 2,
+      closeOnSelect: false,
+    });
+  });
+
+  test("merges data-vs JSON, JSON values and ajax settings", () => {
+    const select = createSelect(
+      `data-vs='{"checklist":true,"ajax":{"url":"/old","cache":true}}' ` +
+        `data-vs-data='[{"id":"x","text":"X"}]' data-vs-ajax-url="/api"`,
+    );
+
+    expect(Options.fromDataAttributes(select)).toEqual({
+      checklist: true,
+      data: [{ id: "x", text: "X" }],
+      ajax: { url: "/api", cache: true },
+    });
+  });
+
+  test("rejects invalid values", () => {
+    expect(() =>
+      Options.fromDataAttributes(createSelect('data-vs-search-delay="soon"')),
+    ).toThrow("data-vs-search-delay");
+    expect(() =>
+      Options.fromDataAttributes(createSelect("data-vs-data='[{'")),
+    ).toThrow("data-vs-data must be valid JSON");
+  });
+});
+
+describe("autoInit", () => {
+  afterEach(() => {
+    VanillaSmartSelect.stopAutoInit();
+    document.querySelectorAll("select").forEach((select) => {
+      if (select._vanillaSmartSelect) select._vanillaSmartSelect.destroy();
+    });
+    document.body.innerHTML = "";
+    jest.restoreAllMocks();
+  });
+
+  test("enhances select[data-vs] with their attributes", () => {
+    document.body.innerHTML = `
+      <select id="city" data-vs data-vs-placeholder="Pick a city"></select>
+      <select id="plain"></select>
+    `;
+
+    const instances = VanillaSmartSelect.autoInit();
+
+    expect(instances.map((instance) => instance.element.id)).toEqual(["city"]);
+    expect(instances[0].options.get("placeholder")).toBe("Pick a city");
+    expect(
+      document.getElementById("plain")._vanillaSmartSelect,
+    ).toBeUndefined();
+
+    // Already enhanced selects are skipped
+    expect(VanillaSmartSelect.autoInit()).toEqual([]);
+  });
+
+  test("reports invalid selects with vs:initError and enhances the others", () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    document.body.innerHTML = `
+      <select id="bad" data-vs data-vs-search-delay="soon"></select>
+      <select id="good" data-vs></select>
+    `;
+    const onInitError = jest.fn();
+    document.addEventListener("vs:initError", onInitError);
+
+    const instances = VanillaSmartSelect.autoInit();
+    document.removeEventListener("vs:initError", onInitError);
+
+    expect(instances.map((instance) => instance.element.id)).toEqual(["good"]);
+    expect(onInitError).toHaveBeenCalledTimes(1);
+    const [event] = onInitError.mock.calls[0];
+    expect(event.target.id).toBe("bad");
+    expect(event.detail.error.message).toContain("data-vs-search-delay");
+    // Unhandled errors are still logged
+    expect(error).toHaveBeenCalledWith(
+      "VanillaSmartSelect autoInit error:",
+      event.detail.error,
+    );
+  });
+
+  test("preventing vs:initError skips the console fallback", () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    document.body.innerHTML =
+      '<select id="bad" data-vs data-vs-search-delay="soon"></select>';
+    const onInitError = (event) => event.preventDefault();
+    document.addEventListener("vs:initError", onInitError);
+
+    VanillaSmartSelect.autoInit(document, { observe: false });
+    document.removeEventListener("vs:initError", onInitError);
+
+    expect(error).not.toHaveBeenCalled();
+  });
+
+  test("follows selects added, moved and removed later", async () => {
+    document.body.innerHTML = '<div id="root"></div><div id="other"></div>';
+    VanillaSmartSelect.autoInit();
+
+    const wrapper = document.createElement("div");
+    wrapper.innerHTML = '<select id="late" data-vs></select>';
+    document.getElementById("root").appendChild(wrapper);
+    await flush();
+
+    const select = document.getElementById("late");
+    const instance = select._vanillaSmartSelect;
+    expect(instance).toBeInstanceOf(VanillaSmartSelect);
+
+    const onDestroy = jest.fn();
+    instance.on("vs:destroy", onDestroy);
+
+    document.getElementById("other").appendChild(wrapper);
+    await flush();
+    expect(onDestroy).not.toHaveBeenCalled();
+    expect(select._vanillaSmartSelect).toBe(instance);
+
+    wrapper.remove();
+    await flush();
+    expect(onDestroy).toHaveBeenCalledTimes(1);
+  });
+
+  test("stopAutoInit stops watching the root", async () => {
+    VanillaSmartSelect.autoInit();
+    VanillaSmartSelect.stopAutoInit();
+
+    document.body.innerHTML = '<select id="late" data-vs></select>';
+    await flush();
+
+    expect(document.getElementById("late")._vanillaSmartSelect).toBeUndefined();
+  });
+});
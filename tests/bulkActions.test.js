@@ -0,0 +1,112 @@
+import VanillaSmartSelect from "../src/index.js";
+
+function createSelect() {
+  document.body.innerHTML = `
+    <select id="country" multiple>
+      <option value="br">Brazil</option>
+      <option value="bo">Bolivia</option>
+      <option value="ar">Argentina</option>
+      <option value="cl" disabled>Chile</option>
+    </select>
+  `;
+  return document.getElementById("country");
+}
+
+describe("select all / clear all", () => {
+  let instance;
+
+  afterEach(() => {
+    if (instance) instance.destroy();
+    instance = null;
+  });
+
+  test("selectAll() selects the enabled items in one change", () => {
+    const select = createSelect();
+    const onChange = jest.fn();
+    select.addEventListener("vs:change", onChange);
+    instance = new VanillaSmartSelect(select);
+
+    instance.selectAll();
+
+    expect(instance.val()).toEqual(["br", "bo", "ar"]);
+    expect(onChange).toHaveBeenCalledTimes(1);
+
+    instance.unselectAll();
+    expect(instance.val()).toEqual([]);
+    expect(onChange).toHaveBeenCalledTimes(2);
+  });
+
+  test("selectAll() takes a search term or a filter", () => {
+    instance = new VanillaSmartSelect(createSelect());
+
+    instance.selectAll("arg");
+    expect(instance.val()).toEqual(["ar"]);
+
+    instance.selectAll((item) => item.id === "bo");
+    expect(instance.val()).toEqual(["ar", "bo"]);
+  });
+
+  test("selectAll() stops at maximumSelectionLength", () => {
+    const select = createSelect();
+    const onLimit = jest.fn();
+    select.addEventListener("vs:selectionLimitReached", onLimit);
+    instance = new VanillaSmartSelect(select, { maximumSelectionLength: 2 });
+
+    instance.selectAll();
+
+    expect(instance.val()).toEqual(["br", "bo"]);
+    expect(onLimit).toHaveBeenCalledTimes(1);
+  });
+
+  test("selectAll() waits for a data function to load", async () => {
+    instance = new VanillaSmartSelect(createSelect(), {
+      data: () =>
+        Promise.resolve([
+          { id: "uy", text: "Uruguay" },
+          { id: "py", text: "Paraguay" },
+        ]),
+    });
+
+    instance.selectAll();
+    expect(instance.val()).toEqual([]);
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(instance.val()).toEqual(["uy", "py"]);
+  });
+
+  test("the bulk buttons act on the matching results", () => {
+    instance = new VanillaSmartSelect(createSelect(), {
+      bulkActions: true,
+      searchDelay: 0,
+    });
+    instance.open();
+
+    const [selectButton, clearButton] = document.querySelectorAll(
+      ".vs-bulk-actions button",
+    );
+    expect(selectButton.textContent).toBe("Select all");
+    expect(clearButton.disabled).toBe(true);
+
+    const search = document.querySelector(".vs-search");
+    search.value = "b";
+    search.dispatchEvent(new Event("input", { bubbles: true }));
+    expect(selectButton.textContent).toBe("Select all matching");
+
+    selectButton.click();
+    expect(instance.val()).toEqual(["br", "bo"]);
+    expect(selectButton.disabled).toBe(true);
+    expect(clearButton.disabled).toBe(false);
+    expect(document.activeElement).toBe(search);
+
+    clearButton.click();
+    expect(instance.val()).toEqual([]);
+  });
+
+  test("destroy removes the bulk buttons", () => {
+    instance = new VanillaSmartSelect(createSelect(), { bulkActions: true });
+    instance.destroy();
+    instance = null;
+
+    expect(document.querySelector(".vs-bulk-actions")).toBeNull();
+  });
+});
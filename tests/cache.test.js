@@ -0,0 +1,218 @@
+import VanillaSmartSelect from "../src/index.js";
+import { LRUCache } from "../src/utils/cache.js";
+
+describe("LRUCache", () => {
+  afterEach(() => {
+    window.sessionStorage.clear();
+    jest.useRealTimers();
+  });
+
+  test("drops the least recently used entries past maxEntries", () => {
+    const cache = new LRUCache({ maxEntries: 2 });
+    cache.set("a", 1);
+    cache.set("b", 2);
+
+    // Reading refreshes recency
+    expect(cache.get("a")).toBe(1);
+    cache.set("c", 3);
+
+    expect(cache.has("a")).toBe(true);
+    expect(cache.has("b")).toBe(false);
+    expect(cache.has("c")).toBe(true);
+  });
+
+  test("expires entries after the ttl", () => {
+    jest.useFakeTimers();
+    const cache = new LRUCache({ ttl: 1000 });
+    cache.set("a", 1);
+
+    jest.advanceTimersByTime(999);
+    expect(cache.get("a")).toBe(1);
+
+    jest.advanceTimersByTime(1);
+    expect(cache.get("a")).toBeUndefined();
+    expect(cache.values()).toEqual([]);
+  });
+
+  test("values() lists live entries without refreshing them", () => {
+    const cache = new LRUCache({ maxEntries: 2 });
+    cache.set("a", 1);
+    cache.set("b", 2);
+
+    expect(cache.values()).toEqual([1, 2]);
+
+    // "a" is still the least recently used
+    cache.set("c", 3);
+    expect(cache.has("a")).toBe(false);
+  });
+
+  test("persists entries in sessionStorage", () => {
+    const first = new LRUCache({ storageKey: "test" });
+    first.set("a", { results: [1] });
+
+    const second = new LRUCache({ storageKey: "test" });
+    expect(second.get("a")).toEqual({ results: [1] });
+
+    second.clear();
+    expect(window.sessionStorage.getItem("test")).toBeNull();
+  });
+
+  test("starts empty from corrupted storage", () => {
+    window.sessionStorage.setItem("test", "{not json");
+    const cache = new LRUCache({ storageKey: "test" });
+
+    expect(cache.entries.size).toBe(0);
+    cache.set("a", 1);
+    expect(cache.get("a")).toBe(1);
+  });
+});
+
+describe("ajax response cache", () => {
+  let instance;
+
+  function createSelect(id = "city") {
+    document.body.innerHTML = `<select id="${id}"></select>`;
+    return document.getElementById(id);
+  }
+
+  // Transport answering with the URL it was called for
+  function createTransport() {
+    return jest.fn((params, config) =>
+      Promise.resolve([
+        {
+          id: `${config.url}:${params.term}`,
+          text: `${params.term} from ${config.url}`,
+        },
+      ]),
+    );
+  }
+
+  // Requests sent for a term (the select also queries "" at init)
+  function requests(transport, term) {
+    return transport.mock.calls.filter(([params]) => params.term === term)
+      .length;
+  }
+
+  afterEach(() => {
+    if (instance) instance.destroy();
+    instance = null;
+    window.sessionStorage.clear();
+  });
+
+  test("reuses cached results for the same query", async () => {
+    const transport = createTransport();
+    instance = new VanillaSmartSelect(createSelect(), {
+      ajax: { url: "/api/cities", transport, cache: true },
+    });
+
+    await instance.ajaxAdapter.query({ term: "par", page: 1 });
+    const cached = await instance.ajaxAdapter.query({ term: "par", page: 1 });
+
+    expect(requests(transport, "par")).toBe(1);
+    expect(cached.results[0].text).toBe("par from /api/cities");
+  });
+
+  test("doesn't reuse results of another URL after option('ajax.url')", async () => {
+    const transport = createTransport();
+    instance = new VanillaSmartSelect(createSelect(), {
+      ajax: { url: "/api/v1", transport, cache: { persist: true } },
+    });
+    await instance.ajaxAdapter.query({ term: "par", page: 1 });
+
+    instance.option("ajax.url", "/api/v2");
+    const response = await instance.ajaxAdapter.query({ term: "par", page: 1 });
+
+    expect(requests(transport, "par")).toBe(2);
+    expect(response.results[0].text).toBe("par from /api/v2");
+  });
+
+  test("persisted entries are only read back for the same endpoint", async () => {
+    const transport = createTransport();
+    instance = new VanillaSmartSelect(createSelect(), {
+      ajax: { url: "/api/v1", transport, cache: { persist: true } },
+    });
+    await instance.ajaxAdapter.query({ term: "par", page: 1 });
+    instance.destroy();
+
+    // Same select id, another endpoint (e.g. another page)
+    instance = new VanillaSmartSelect(createSelect(), {
+      ajax: { url: "/other/endpoint", transport, cache: { persist: true } },
+    });
+    await instance.ajaxAdapter.query({ term: "par", page: 1 });
+    expect(requests(transport, "par")).toBe(2);
+    instance.destroy();
+
+    // Same endpoint again: served from sessionStorage
+    instance = new VanillaSmartSelect(createSelect(), {
+      ajax: { url: "/api/v1", transport, cache: { persist: true } },
+    });
+    const response = await instance.ajaxAdapter.query({ term: "par", page: 1 });
+    expect(requests(transport, "par")).toBe(2);
+    expect(response.results[0].text).toBe("par from /api/v1");
+  });
+
+  test("persist must be a string with dataSource", () => {
+    const dataSource = () => Promise.resolve({ results: [] });
+
+    expect(
+      () =>
+        new VanillaSmartSelect(createSelect(), {
+          dataSource,
+          ajax: { cache: { persist: true } },
+        }),
+    ).toThrow("ajax.cache.persist must be a string");
+
+    instance = new VanillaSmartSelect(createSelect("other"), {
+      dataSource,
+      ajax: { cache: { persist: "cities" } },
+    });
+    expect(instance.ajaxAdapter.cache.storageKey).toBe(
+      "vanilla-smart-select:cities",
+    );
+  });
+
+  test("narrows complete cached results for longer terms", async () => {
+    const transport = jest.fn(() =>
+      Promise.resolve([
+        { id: "1", text: "Paris" },
+        { id: "2", text: "Parma" },
+        { id: "3", text: "Porto" },
+      ]),
+    );
+    instance = new VanillaSmartSelect(createSelect(), {
+      ajax: { url: "/api/cities", transport, cache: { narrow: true } },
+    });
+
+    await instance.ajaxAdapter.query({ term: "p", page: 1 });
+    const narrowed = await instance.ajaxAdapter.query({ term: "par", page: 1 });
+
+    expect(requests(transport, "par")).toBe(0);
+    expect(narrowed.results.map((item) => item.text)).toEqual([
+      "Paris",
+      "Parma",
+    ]);
+  });
+
+  test("narrows from the longest cached term", async () => {
+    const transport = jest.fn((params) =>
+      Promise.resolve(
+        ["Paris", "Parma", "Porto"]
+          .filter((city) => city.toLowerCase().startsWith(params.term))
+          .map((city) => ({ id: city, text: `${city} (${params.term})` })),
+      ),
+    );
+    instance = new VanillaSmartSelect(createSelect(), {
+      ajax: { url: "/api/cities", transport, cache: { narrow: true } },
+    });
+
+    await instance.ajaxAdapter.query({ term: "pa", page: 1 });
+    await instance.ajaxAdapter.query({ term: "p", page: 1 });
+    const narrowed = await instance.ajaxAdapter.query({
+      term: "pari",
+      page: 1,
+    });
+
+    expect(requests(transport, "pari")).toBe(0);
+    expect(narrowed.results.map((item) => item.text)).toEqual(["Paris (pa)"]);
+  });
+});
@@ -0,0 +1,97 @@
+import VanillaSmartSelect from "../src/index.js";
+
+const ENTER = 13;
+const BACKSPACE = 8;
+
+function createSelect() {
+  const options = Array.from(
+    { length: 6 },
+    (value, index) =>
+      `<option value="v${index}">Item ${index}${index % 2 ? " odd" : ""}</option>`,
+  ).join("");
+  document.body.innerHTML = `<select id="items" multiple>${options}</select>`;
+  return document.getElementById("items");
+}
+
+function press(target, keyCode) {
+  target.dispatchEvent(
+    new KeyboardEvent("keydown", { keyCode, bubbles: true, cancelable: true }),
+  );
+}
+
+describe("checklist", () => {
+  let instance;
+  let selection;
+  let results;
+  let search;
+
+  beforeEach(() => {
+    instance = new VanillaSmartSelect(createSelect(), {
+      checklist: true,
+      placeholder: "Pick",
+      allowClear: true,
+      searchDelay: 0,
+    });
+    selection = document.querySelector(".vs-selection");
+    instance.open();
+    results = document.querySelector(".vs-results");
+    search = document.querySelector(".vs-search");
+  });
+
+  afterEach(() => {
+    instance.destroy();
+    instance = null;
+  });
+
+  const row = (id) => results.querySelector(`[data-id="${id}"]`);
+
+  test("renders a checkbox per result", () => {
+    expect(results.classList).toContain("vs-results--checklist");
+    expect(results.querySelectorAll(".vs-result__checkbox")).toHaveLength(6);
+  });
+
+  test("clicks toggle items and keep the search and the dropdown", () => {
+    search.value = "odd";
+    search.dispatchEvent(new Event("input", { bubbles: true }));
+
+    row("v1").click();
+    row("v3").click();
+
+    expect(instance.val()).toEqual(["v1", "v3"]);
+    expect(instance.isOpen()).toBe(true);
+    expect(search.value).toBe("odd");
+    expect(results.querySelectorAll(".vs-result")).toHaveLength(3);
+    expect(row("v1").getAttribute("aria-selected")).toBe("true");
+
+    row("v1").click();
+    expect(instance.val()).toEqual(["v3"]);
+  });
+
+  test("Enter toggles the highlighted item", () => {
+    instance.resultsAdapter.results.highlight(2);
+
+    press(search, ENTER);
+    expect(instance.val()).toEqual(["v2"]);
+
+    press(search, ENTER);
+    expect(instance.val()).toEqual([]);
+  });
+
+  test("the selection shows a summary instead of chips", () => {
+    expect(selection.textContent).toBe("Pick");
+
+    row("v0").click();
+    row("v4").click();
+
+    expect(selection.querySelectorAll(".vs-selection__choice")).toHaveLength(0);
+    expect(selection.textContent).toContain("2 of 6 selected");
+
+    // Backspace in the search doesn't remove items
+    press(search, BACKSPACE);
+    expect(instance.val()).toEqual(["v0", "v4"]);
+
+    selection.querySelector(".vs-selection__clear").click();
+    expect(instance.val()).toEqual([]);
+    expect(selection.textContent).toBe("Pick");
+  });
+});
@@ -0,0 +1,144 @@
+import VanillaSmartSelect from "../src/index.js";
+
+function createSelect() {
+  document.body.innerHTML = `
+    <select id="tags" multiple>
+      <option value="a" selected>A</option>
+      <option value="b" selected>B</option>
+      <option value="c" selected>C</option>
+      <option value="d">D</option>
+    </select>
+  `;
+  return document.getElementById("tags");
+}
+
+function chipTexts() {
+  return Array.from(document.querySelectorAll(".vs-selection__choice")).map(
+    (chip) => chip.textContent.replace("×", "").trim(),
+  );
+}
+
+describe("maxVisibleChips", () => {
+  let instance;
+
+  afterEach(() => {
+    if (instance) instance.destroy();
+    instance = null;
+  });
+
+  test("collapses the chips past the limit into a badge", () => {
+    instance = new VanillaSmartSelect(createSelect(), { maxVisibleChips: 2 });
+
+    expect(chipTexts()).toEqual(["A", "B"]);
+    expect(document.querySelector(".vs-selection__more")).not.toBeNull();
+
+    instance.unselect("c");
+    expect(chipTexts()).toEqual(["A", "B"]);
+    expect(document.querySelector(".vs-selection__more")).toBeNull();
+  });
+
+  test("0 collapses every chip and null shows them all", () => {
+    instance = new VanillaSmartSelect(createSelect(), { maxVisibleChips: 0 });
+    expect(chipTexts()).toEqual([]);
+
+    instance.setOptions({ maxVisibleChips: null });
+    expect(chipTexts()).toEqual(["A", "B", "C"]);
+  });
+
+  test.each([-1, 1.5, "3", Infinity])("rejects %p", (maxVisibleChips) => {
+    expect(
+      () => new VanillaSmartSelect(createSelect(), { maxVisibleChips }),
+    ).toThrow("maxVisibleChips must be a non-negative integer or null");
+  });
+
+  test("setOptions keeps the current value when the new one is invalid", () => {
+    instance = new VanillaSmartSelect(createSelect(), { maxVisibleChips: 2 });
+
+    expect(() => instance.setOptions({ maxVisibleChips: -2 })).toThrow(
+      "maxVisibleChips",
+    );
+    expect(instance.options.get("maxVisibleChips")).toBe(2);
+  });
+});
+
+describe("chip keyboard navigation", () => {
+  let instance;
+  let selection;
+
+  const LEFT = 37;
+  const RIGHT = 39;
+  const HOME = 36;
+  const END = 35;
+  const BACKSPACE = 8;
+  const DELETE = 46;
+
+  function press(target, keyCode) {
+    target.dispatchEvent(
+      new KeyboardEvent("keydown", {
+        keyCode,
+        bubbles: true,
+        cancelable: true,
+      }),
+    );
+  }
+
+  const focusedId = () => document.activeElement.dataset.id;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <select id="letters" multiple>
+        <option value="a" selected>A</option>
+        <option value="b" selected>B</option>
+        <option value="c" selected>C</option>
+        <option value="d" selected>D</option>
+      </select>
+    `;
+    instance = new VanillaSmartSelect(document.getElementById("letters"));
+    selection = document.querySelector(".vs-selection");
+    selection.focus();
+  });
+
+  afterEach(() => {
+    instance.destroy();
+    instance = null;
+  });
+
+  test("arrows, Home and End move between the chips", () => {
+    press(selection, LEFT);
+    expect(focusedId()).toBe("d");
+
+    press(document.activeElement, LEFT);
+    expect(focusedId()).toBe("c");
+
+    press(document.activeElement, HOME);
+    expect(focusedId()).toBe("a");
+
+    press(document.activeElement, END);
+    expect(focusedId()).toBe("d");
+
+    // Past the last chip, focus returns to the selection
+    press(document.activeElement, RIGHT);
+    expect(document.activeElement).toBe(selection);
+  });
+
+  test("Delete and Backspace remove the focused chip", () => {
+    press(selection, LEFT);
+    press(document.activeElement, HOME);
+    press(document.activeElement, RIGHT);
+
+    // Delete moves the focus forwards
+    press(document.activeElement, DELETE);
+    expect(instance.val()).toEqual(["a", "c", "d"]);
+    expect(focusedId()).toBe("c");
+
+    // Backspace moves it backwards
+    press(document.activeElement, BACKSPACE);
+    expect(instance.val()).toEqual(["a", "d"]);
+    expect(focusedId()).toBe("a");
+  });
+
+  test("Backspace on the selection removes the last chip", () => {
+    press(selection, BACKSPACE);
+    expect(instance.val()).toEqual(["a", "b", "c"]);
+  });
+});
@@ -0,0 +1,123 @@
+import VanillaSmartSelect from "../src/index.js";
+
+const ROWS = Array.from({ length: 45 }, (value, index) => ({
+  id: String(index),
+  text: `Row ${index}`,
+}));
+
+function createSelect() {
+  document.body.innerHTML = '<select id="rows"></select>';
+  return document.getElementById("rows");
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Resolved by the test
+function deferred() {
+  let resolve;
+  const promise = new Promise((res) => {
+    resolve = res;
+  });
+  return { promise, resolve };
+}
+
+function resultTexts() {
+  return Array.from(document.querySelectorAll(".vs-result")).map((result) =>
+    result.textContent.trim(),
+  );
+}
+
+describe("dataSource", () => {
+  let instance;
+
+  afterEach(() => {
+    if (instance) instance.destroy();
+    instance = null;
+  });
+
+  // Pages of 20 rows containing the term
+  async function pagedSource({ term, page }) {
+    const rows = ROWS.filter((row) => row.text.includes(term));
+    return {
+      results: rows.slice((page - 1) * 20, page * 20),
+      more: page * 20 < rows.length,
+    };
+  }
+
+  test("queries the function and pages with { results, more }", async () => {
+    const dataSource = jest.fn(pagedSource);
+    instance = new VanillaSmartSelect(createSelect(), {
+      dataSource,
+      searchDelay: 0,
+    });
+
+    instance.open();
+    await flush();
+    expect(dataSource).toHaveBeenCalledWith(
+      expect.objectContaining({ term: "", page: 1, signal: expect.anything() }),
+    );
+    expect(resultTexts()).toHaveLength(20);
+    expect(instance.resultsAdapter.hasMore).toBe(true);
+
+    instance.resultsAdapter.loadMore();
+    await flush();
+    expect(resultTexts()).toHaveLength(40);
+    expect(dataSource).toHaveBeenLastCalledWith(
+      expect.objectContaining({ term: "", page: 2 }),
+    );
+  });
+
+  test("accepts a plain array of results", async () => {
+    instance = new VanillaSmartSelect(createSelect(), {
+      dataSource: () => ROWS.slice(0, 2),
+    });
+
+    instance.open();
+    await flush();
+    expect(resultTexts()).toEqual(["Row 0", "Row 1"]);
+    expect(instance.resultsAdapter.hasMore).toBe(false);
+  });
+
+  test("a newer query aborts the signal of the previous one", async () => {
+    const slow = deferred();
+    const signals = {};
+    instance = new VanillaSmartSelect(createSelect(), {
+      searchDelay: 0,
+      dataSource: ({ term, page, signal }) => {
+        signals[term] = signal;
+        return term === "slow" ? slow.promise : pagedSource({ term, page });
+      },
+    });
+    instance.open();
+    await flush();
+
+    instance.resultsAdapter.update("slow");
+    instance.resultsAdapter.update("Row 1");
+    await flush();
+
+    expect(signals.slow.aborted).toBe(true);
+    expect(signals["Row 1"].aborted).toBe(false);
+
+    // The late answer is ignored
+    slow.resolve([{ id: "late", text: "Late" }]);
+    await flush();
+    expect(resultTexts()).not.toContain("Late");
+    expect(resultTexts()[0]).toBe("Row 1");
+  });
+
+  test("rejections fire vs:ajaxError and offer to retry", async () => {
+    const select = createSelect();
+    const onError = jest.fn();
+    select.addEventListener("vs:ajaxError", onError);
+    instance = new VanillaSmartSelect(select, {
+      dataSource: () => Promise.reject(new Error("db down")),
+    });
+
+    instance.open();
+    await flush();
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].detail.error.message).toBe("db down");
+    expect(document.querySelector(".vs-results__retry")).not.toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+import VanillaSmartSelect from "../src/index.js";
+import { fuzzyMatch } from "../src/utils/fuzzy.js";
+
+describe("fuzzyMatch", () => {
+  test("ranks contiguous matches above subsequences and typos", () => {
+    const contiguous = fuzzyMatch("ber", "Berlin");
+    const subsequence = fuzzyMatch("brln", "Berlin");
+    const typo = fuzzyMatch("berlni", "Berlin");
+
+    expect(contiguous.score).toBeGreaterThan(subsequence.score);
+    expect(subsequence.score).toBeGreaterThan(typo.score);
+  });
+
+  test("returns the matched ranges of the text", () => {
+    expect(fuzzyMatch("ber", "Berlin").ranges).toEqual([[0, 3]]);
+    expect(fuzzyMatch("brln", "Berlin").ranges).toEqual([
+      [0, 1],
+      [2, 4],
+      [5, 6],
+    ]);
+  });
+
+  test("ignores case and diacritics", () => {
+    expect(fuzzyMatch("sao", "São Paulo").ranges).toEqual([[0, 3]]);
+  });
+
+  test("returns null when nothing matches", () => {
+    expect(fuzzyMatch("xyz", "Berlin")).toBeNull();
+  });
+});
+
+describe("matchStrategy: fuzzy", () => {
+  let instance;
+
+  afterEach(() => {
+    if (instance) instance.destroy();
+    instance = null;
+  });
+
+  function resultTexts() {
+    return Array.from(document.querySelectorAll(".vs-result")).map((result) =>
+      result.textContent.trim(),
+    );
+  }
+
+  test("lists the best matches first and marks every matched range", () => {
+    document.body.innerHTML = '<select id="city"></select>';
+    instance = new VanillaSmartSelect(document.getElementById("city"), {
+      matchStrategy: "fuzzy",
+      data: [
+        { id: "1", text: "Bernalillo" },
+        { id: "2", text: "Paris" },
+        { id: "3", text: "Berlin" },
+      ],
+    });
+
+    instance.open();
+    instance.resultsAdapter.update("berlni");
+    expect(resultTexts()).toEqual(["Berlin", "Bernalillo"]);
+
+    instance.resultsAdapter.update("brln");
+    expect(resultTexts()).toEqual(["Berlin"]);
+    expect(
+      instance.resultsAdapter.searchManager.highlight("Berlin", "brln"),
+    ).toBe("<mark>B</mark>e<mark>rl</mark>i<mark>n</mark>");
+  });
+});
@@ -0,0 +1,100 @@
+import VanillaSmartSelect from "../src/index.js";
+
+function createSelect() {
+  document.body.innerHTML = `
+    <form id="form">
+      <select id="labels" name="labels" multiple>
+        <option value="1">Red</option>
+      </select>
+    </form>
+  `;
+  return document.getElementById("labels");
+}
+
+const formValues = () =>
+  new FormData(document.getElementById("form")).getAll("labels");
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("generated options", () => {
+  let instance;
+
+  afterEach(() => {
+    if (instance) instance.destroy();
+    instance = null;
+  });
+
+  test("created tags get an option, so the form posts val()", async () => {
+    const select = createSelect();
+    instance = new VanillaSmartSelect(select, { tags: true });
+
+    await instance.resultsAdapter.addTokens(["Red", "green"]);
+
+    expect(instance.val()).toEqual(["1", "green"]);
+    expect(formValues()).toEqual(["1", "green"]);
+
+    const option = select.querySelector('option[value="green"]');
+    expect(option.getAttribute("data-vs-generated")).toBe("true");
+    expect(option.textContent).toBe("green");
+  });
+
+  test("generated options are removed once unselected", async () => {
+    const select = createSelect();
+    instance = new VanillaSmartSelect(select, { tags: true });
+    await instance.resultsAdapter.addTokens(["green"]);
+
+    instance.unselect("green");
+
+    expect(formValues()).toEqual([]);
+    expect(select.querySelector('option[value="green"]')).toBeNull();
+    // Options from the markup stay
+    expect(select.options).toHaveLength(1);
+  });
+
+  test("a placeholder option doesn't stand in for a tag with its text", async () => {
+    const select = createSelect();
+    select.insertAdjacentHTML("afterbegin", '<option value="">Choose</option>');
+    instance = new VanillaSmartSelect(select, { tags: true });
+
+    await instance.resultsAdapter.addTokens(["Choose"]);
+    expect(formValues()).toEqual(["Choose"]);
+    expect(select.options[0].selected).toBe(false);
+
+    instance.unselect("Choose");
+    expect(formValues()).toEqual([]);
+    expect(select.options[0].value).toBe("");
+    expect(select.querySelector('option[value="Choose"]')).toBeNull();
+  });
+
+  test("cleanupGeneratedOptions: false keeps them", async () => {
+    const select = createSelect();
+    instance = new VanillaSmartSelect(select, {
+      tags: true,
+      cleanupGeneratedOptions: false,
+    });
+    await instance.resultsAdapter.addTokens(["green"]);
+
+    instance.unselect("green");
+
+    expect(formValues()).toEqual([]);
+    expect(select.querySelector('option[value="green"]')).not.toBeNull();
+  });
+
+  test("selected ajax items get an option", async () => {
+    const select = createSelect();
+    instance = new VanillaSmartSelect(select, {
+      ajax: {
+        url: "/api/labels",
+        transport: () => Promise.resolve([{ id: "42", text: "Remote" }]),
+      },
+    });
+    await flush();
+
+    instance.select("42");
+
+    expect(formValues()).toEqual(["42"]);
+    expect(select.querySelector('option[value="42"]').textContent).toBe(
+      "Remote",
+    );
+  });
+});
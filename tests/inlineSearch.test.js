@@ -0,0 +1,101 @@
+import VanillaSmartSelect from "../src/index.js";
+
+const ENTER = 13;
+const ESC = 27;
+const LEFT = 37;
+const RIGHT = 39;
+const DOWN = 40;
+const BACKSPACE = 8;
+
+function press(target, keyCode) {
+  target.dispatchEvent(
+    new KeyboardEvent("keydown", { keyCode, bubbles: true, cancelable: true }),
+  );
+}
+
+function type(input, value) {
+  input.value = value;
+  input.dispatchEvent(new Event("input", { bubbles: true }));
+}
+
+function resultTexts() {
+  return Array.from(document.querySelectorAll(".vs-result")).map((result) =>
+    result.textContent.trim(),
+  );
+}
+
+describe("inlineSearch", () => {
+  let instance;
+  let selection;
+  let input;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <select id="fruit" multiple>
+        <option value="a" selected>Apple</option>
+        <option value="b">Banana</option>
+        <option value="c">Cherry</option>
+      </select>
+    `;
+    instance = new VanillaSmartSelect(document.getElementById("fruit"), {
+      inlineSearch: true,
+      placeholder: "Pick fruit",
+      searchDelay: 0,
+    });
+    selection = document.querySelector(".vs-selection");
+    input = selection.querySelector(".vs-search--inline");
+    input.focus();
+  });
+
+  afterEach(() => {
+    instance.destroy();
+    instance = null;
+  });
+
+  test("renders the search after the chips as the combobox", () => {
+    expect(input).not.toBeNull();
+    expect(document.querySelector(".vs-dropdown .vs-search")).toBeNull();
+    expect(input.getAttribute("role")).toBe("combobox");
+    expect(selection.getAttribute("tabindex")).toBe("-1");
+  });
+
+  test("typing opens the dropdown and filters the results", () => {
+    type(input, "ban");
+
+    expect(instance.isOpen()).toBe(true);
+    expect(input.getAttribute("aria-expanded")).toBe("true");
+    expect(resultTexts()).toEqual(["Banana"]);
+
+    press(input, DOWN);
+    press(input, ENTER);
+    expect(instance.val()).toEqual(["a", "b"]);
+    expect(input.value).toBe("");
+    expect(document.activeElement).toBe(input);
+
+    press(input, ESC);
+    expect(instance.isOpen()).toBe(false);
+  });
+
+  test("Left moves into the chips and Right comes back", () => {
+    press(input, LEFT);
+    expect(document.activeElement.dataset.id).toBe("a");
+
+    press(document.activeElement, RIGHT);
+    expect(document.activeElement).toBe(input);
+  });
+
+  test("Backspace in the empty search removes the last chip", () => {
+    press(input, BACKSPACE);
+
+    expect(instance.val()).toEqual([]);
+    expect(document.activeElement).toBe(input);
+  });
+
+  test("shows the placeholder while nothing is chosen", () => {
+    expect(input.placeholder).toBe("");
+
+    instance.clear();
+    expect(input.placeholder).toBe("Pick fruit");
+    expect(selection.contains(input)).toBe(true);
+  });
+});
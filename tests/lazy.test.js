@@ -0,0 +1,184 @@
+import VanillaSmartSelect from "../src/index.js";
+
+const ITEMS = [
+  { id: "1", text: "One" },
+  { id: "2", text: "Two" },
+  { id: "3", text: "Three" },
+];
+
+function createSelect(html = "", { multiple = false } = {}) {
+  document.body.innerHTML = `<select id="items" ${multiple ? "multiple" : ""}>${html}</select>`;
+  return document.getElementById("items");
+}
+
+// Resolved by the test
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function resultTexts() {
+  return Array.from(document.querySelectorAll(".vs-result")).map((result) =>
+    result.textContent.trim(),
+  );
+}
+
+describe("lazy loading", () => {
+  let instance;
+
+  afterEach(() => {
+    if (instance) instance.destroy();
+    instance = null;
+    jest.restoreAllMocks();
+  });
+
+  test("lazy mode reads the options on the first open", () => {
+    const select = createSelect(
+      '<option value="a">A</option><option value="b" selected>B</option>',
+    );
+    instance = new VanillaSmartSelect(select, { lazy: true });
+
+    expect(instance.dataAdapter.isLoaded()).toBe(false);
+    expect(instance.val()).toBe("b");
+    expect(document.querySelectorAll(".vs-result")).toHaveLength(0);
+
+    instance.open();
+    expect(instance.dataAdapter.isLoaded()).toBe(true);
+    expect(resultTexts()).toEqual(["A", "B"]);
+  });
+
+  test("a data function is called once, on the first open", async () => {
+    const data = jest.fn(() => Promise.resolve(ITEMS));
+    instance = new VanillaSmartSelect(createSelect(), { data });
+    expect(data).not.toHaveBeenCalled();
+
+    instance.open();
+    expect(document.querySelector(".vs-results__loading")).not.toBeNull();
+
+    await flush();
+    expect(resultTexts()).toEqual(["One", "Two", "Three"]);
+
+    instance.close();
+    instance.open();
+    expect(data).toHaveBeenCalledTimes(1);
+  });
+
+  test("values set while loading are applied once the items arrive", async () => {
+    const loading = deferred();
+    instance = new VanillaSmartSelect(createSelect("", { multiple: true }), {
+      data: () => loading.promise,
+    });
+
+    instance.val(["1"]);
+    instance.select("3");
+    expect(instance.val()).toEqual([]);
+
+    loading.resolve(ITEMS);
+    await flush();
+    expect(instance.val()).toEqual(["1", "3"]);
+  });
+
+  test("the last value set while loading wins", async () => {
+    const loading = deferred();
+    instance = new VanillaSmartSelect(createSelect(), {
+      data: () => loading.promise,
+    });
+
+    instance.val("1");
+    instance.val("2");
+
+    loading.resolve(ITEMS);
+    await flush();
+    expect(instance.val()).toBe("2");
+  });
+
+  test("a rejecting data function doesn't leave unhandled rejections", async () => {
+    const unhandled = jest.fn();
+    process.on("unhandledRejection", unhandled);
+    const consoleError = jest.spyOn(console, "error");
+
+    const select = createSelect();
+    const onError = jest.fn();
+    select.addEventListener("vs:dataError", onError);
+
+    instance = new VanillaSmartSelect(select, {
+      data: () => Promise.reject(new Error("boom")),
+    });
+    instance.val("x");
+    instance.open();
+    await flush();
+    await flush();
+
+    process.off("unhandledRejection", unhandled);
+    expect(unhandled).not.toHaveBeenCalled();
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].detail.error.message).toBe("boom");
+    expect(instance.val()).toBeNull();
+    expect(document.querySelector(".vs-results__retry")).not.toBeNull();
+    expect(document.querySelector(".vs-results__loading")).toBeNull();
+    expect(consoleError).not.toHaveBeenCalled();
+  });
+
+  test("a data function that throws is reported like a rejection", async () => {
+    const select = createSelect();
+    const onError = jest.fn();
+    select.addEventListener("vs:dataError", onError);
+
+    instance = new VanillaSmartSelect(select, {
+      data: () => {
+        throw new Error("boom");
+      },
+    });
+    instance.open();
+    await flush();
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].detail.error.message).toBe("boom");
+    expect(document.querySelector(".vs-results__error").textContent).toContain(
+      "The results could not be loaded",
+    );
+    expect(document.querySelector(".vs-results__loading")).toBeNull();
+  });
+
+  test("the retry button loads the data again", async () => {
+    const data = jest
+      .fn()
+      .mockReturnValueOnce(Promise.reject(new Error("boom")))
+      .mockReturnValueOnce(Promise.resolve(ITEMS));
+
+    instance = new VanillaSmartSelect(createSelect(), { data });
+    instance.open();
+    await flush();
+
+    document.querySelector(".vs-results__retry").click();
+    await flush();
+
+    expect(data).toHaveBeenCalledTimes(2);
+    expect(resultTexts()).toEqual(["One", "Two", "Three"]);
+  });
+
+  test("load() rejects with the data function's error", async () => {
+    instance = new VanillaSmartSelect(createSelect(), {
+      data: () => Promise.reject(new Error("boom")),
+    });
+
+    await expect(instance.load()).rejects.toThrow("boom");
+  });
+
+  test("load() resolves with the instance once loaded", async () => {
+    instance = new VanillaSmartSelect(createSelect(), {
+      data: () => Promise.resolve(ITEMS),
+    });
+
+    await expect(instance.load()).resolves.toBe(instance);
+    instance.val("2");
+    expect(instance.val()).toBe("2");
+  });
+});
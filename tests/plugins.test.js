@@ -0,0 +1,214 @@
+import VanillaSmartSelect, { DataAdapter } from "../src/index.js";
+
+function createSelect({ multiple = false } = {}) {
+  document.body.innerHTML = `
+    <select id="fruit" ${multiple ? "multiple" : ""}>
+      <option value="a">Apple</option>
+      <option value="b">Banana</option>
+      <option value="c">Cherry</option>
+    </select>
+  `;
+  return document.getElementById("fruit");
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function resultTexts() {
+  return Array.from(document.querySelectorAll(".vs-result")).map((result) =>
+    result.textContent.trim(),
+  );
+}
+
+describe("plugins", () => {
+  let instance;
+
+  afterEach(() => {
+    if (instance) instance.destroy();
+    instance = null;
+  });
+
+  test("use() validates plugins and returns the class", () => {
+    expect(VanillaSmartSelect.use({ name: "noop" })).toBe(VanillaSmartSelect);
+    expect(() => VanillaSmartSelect.use({})).toThrow(
+      "A plugin must have a name",
+    );
+    expect(() =>
+      VanillaSmartSelect.use({ name: "bad", adapters: { foo: () => {} } }),
+    ).toThrow('unknown adapter "foo"');
+    expect(() => VanillaSmartSelect.use({ name: "bad", init: true })).toThrow(
+      "init must be a function",
+    );
+  });
+
+  test("runs the lifecycle hooks in order", () => {
+    const calls = [];
+    const plugin = {
+      name: "lifecycle",
+      init: (select) => calls.push(["init", select]),
+      render: (select) => calls.push(["render", select]),
+      destroy: (select) => calls.push(["destroy", select]),
+    };
+
+    instance = new VanillaSmartSelect(createSelect(), { plugins: [plugin] });
+    expect(calls.map(([hook]) => hook)).toEqual(["render", "init"]);
+    expect(calls[0][1]).toBe(instance);
+
+    // setOptions rebuilds render again
+    instance.setOptions({ theme: "dark" });
+    expect(calls.map(([hook]) => hook)).toEqual(["render", "init", "render"]);
+
+    instance.destroy();
+    expect(calls[calls.length - 1][0]).toBe("destroy");
+    instance = null;
+  });
+
+  test("query hooks can rewrite the search term", () => {
+    instance = new VanillaSmartSelect(createSelect(), {
+      plugins: [
+        {
+          name: "trim",
+          query: (select, params) => ({ ...params, term: params.term.trim() }),
+        },
+      ],
+    });
+
+    instance.open();
+    instance.resultsAdapter.update("  ban  ");
+    expect(resultTexts()).toEqual(["Banana"]);
+  });
+
+  test("select hooks returning false cancel the selection", () => {
+    const onSelect = jest.fn();
+    instance = new VanillaSmartSelect(createSelect({ multiple: true }), {
+      plugins: [
+        { name: "no-cherry", select: (select, item) => item.id !== "c" },
+      ],
+    });
+    instance.on("vs:select", onSelect);
+
+    instance.select("c");
+    expect(instance.val()).toEqual([]);
+    expect(onSelect).not.toHaveBeenCalled();
+
+    instance.select("b");
+    expect(instance.val()).toEqual(["b"]);
+
+    // Batches skip the refused items
+    instance.selectAll();
+    expect(instance.val()).toEqual(["b", "a"]);
+  });
+
+  test("select hooks also cover the native select", async () => {
+    const plugins = [
+      { name: "no-cherry", select: (select, item) => item.id !== "c" },
+    ];
+    const select = createSelect({ multiple: true });
+    instance = new VanillaSmartSelect(select, { plugins });
+    const onSelect = jest.fn();
+    instance.on("vs:select", onSelect);
+
+    select.options[1].setAttribute("selected", "");
+    select.options[2].setAttribute("selected", "");
+    await flush();
+
+    expect(instance.val()).toEqual(["b"]);
+    expect(select.options[2].selected).toBe(false);
+    expect(onSelect).toHaveBeenCalledTimes(1);
+    instance.destroy();
+
+    const single = createSelect();
+    instance = new VanillaSmartSelect(single, {
+      plugins,
+      syncElementValue: true,
+    });
+
+    // Called the way browsers call it on single.value = "c" - jsdom's
+    // <select> proxy refuses assignments to own accessors
+    Object.getOwnPropertyDescriptor(single, "value").set.call(single, "c");
+    expect(instance.val()).toBe("a");
+    expect(single.value).toBe("a");
+  });
+
+  test("decorators stack and replacements take over", () => {
+    const order = [];
+    const decorate = (name) => (Base) =>
+      class extends Base {
+        update(...args) {
+          order.push(name);
+          return super.update(...args);
+        }
+      };
+
+    class FilteredData extends DataAdapter {
+      loadFromElement() {
+        super.loadFromElement();
+        this.data = this.data.filter((item) => item.id !== "a");
+      }
+    }
+
+    VanillaSmartSelect.use({
+      name: "outer",
+      adapters: { selection: decorate("outer") },
+    });
+    instance = new VanillaSmartSelect(createSelect(), {
+      plugins: [
+        { name: "inner", adapters: { selection: decorate("inner") } },
+        { name: "filtered", adapters: { data: FilteredData } },
+      ],
+    });
+
+    order.length = 0;
+    instance.selectionAdapter.update();
+    expect(order).toEqual(["inner", "outer"]);
+    expect(instance.dataAdapter).toBeInstanceOf(FilteredData);
+    expect(instance.data().map((item) => item.id)).toEqual(["b", "c"]);
+
+    // Registered again under the same name: replaced
+    VanillaSmartSelect.use({ name: "outer" });
+  });
+
+  test("instance plugins replace registered plugins of the same name", () => {
+    const global = jest.fn();
+    const local = jest.fn();
+    VanillaSmartSelect.use({ name: "shared", init: global });
+
+    instance = new VanillaSmartSelect(createSelect(), {
+      plugins: [{ name: "shared", init: local }],
+    });
+
+    expect(global).not.toHaveBeenCalled();
+    expect(local).toHaveBeenCalledWith(instance, undefined);
+    VanillaSmartSelect.use({ name: "shared" });
+  });
+
+  test("a failing hook is logged and doesn't stop the others", () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const init = jest.fn();
+
+    instance = new VanillaSmartSelect(createSelect(), {
+      plugins: [
+        {
+          name: "boom",
+          init() {
+            throw new Error("boom");
+          },
+        },
+        { name: "next", init },
+      ],
+    });
+
+    expect(init).toHaveBeenCalled();
+    expect(error).toHaveBeenCalledWith(
+      'Error in the init hook of plugin "boom":',
+      expect.any(Error),
+    );
+    error.mockRestore();
+  });
+
+  test("plugins can't be changed with setOptions", () => {
+    instance = new VanillaSmartSelect(createSelect());
+    expect(() => instance.setOptions({ plugins: [] })).toThrow(
+      'Option "plugins" can\'t be changed after init',
+    );
+  });
+});
@@ -0,0 +1,120 @@
+import VanillaSmartSelect, { getLanguage } from "../src/index.js";
+
+function createSelects() {
+  document.body.innerHTML = `
+    <div id="view1">
+      <select id="a"><option>1</option></select>
+      <select id="b"><option>2</option></select>
+    </div>
+    <div id="view2">
+      <select id="c"><option>3</option></select>
+    </div>
+  `;
+}
+
+describe("global defaults", () => {
+  beforeEach(createSelects);
+
+  afterEach(() => {
+    VanillaSmartSelect.destroyAll();
+    VanillaSmartSelect.resetDefaults();
+  });
+
+  test("setDefaults applies to new instances and merges ajax", () => {
+    VanillaSmartSelect.setDefaults({
+      theme: "dark",
+      language: getLanguage("es"),
+      ajax: { headers: { Authorization: "x" }, delay: 10 },
+    });
+    VanillaSmartSelect.setDefaults({ ajax: { headers: { "X-App": "y" } } });
+
+    const a = new VanillaSmartSelect("#a");
+    expect(a.options.get("theme")).toBe("dark");
+    expect(a.options.get("language.noResults")).toBe(
+      "No se encontraron resultados",
+    );
+    // Default ajax settings don't turn every select into a remote one
+    expect(a.options.get("ajax")).toBeNull();
+    expect(a.ajaxAdapter).toBeFalsy();
+
+    const b = new VanillaSmartSelect("#b", {
+      theme: "default",
+      ajax: {
+        url: "/u",
+        headers: { "X-Own": "z" },
+        transport: () => Promise.resolve([]),
+      },
+    });
+    expect(b.options.get("theme")).toBe("default");
+    expect(b.options.get("ajax")).toMatchObject({
+      url: "/u",
+      delay: 10,
+      headers: { Authorization: "x", "X-App": "y", "X-Own": "z" },
+    });
+  });
+
+  test("setDefaults validates its options", () => {
+    expect(() => VanillaSmartSelect.setDefaults({ searchDelay: -1 })).toThrow(
+      "searchDelay must be a non-negative number",
+    );
+  });
+
+  test("resetDefaults restores the built-in defaults", () => {
+    VanillaSmartSelect.setDefaults({ theme: "dark" });
+    VanillaSmartSelect.resetDefaults();
+
+    expect(new VanillaSmartSelect("#c").options.get("theme")).toBe("default");
+  });
+});
+
+describe("instance registry", () => {
+  let a;
+  let c;
+
+  beforeEach(() => {
+    createSelects();
+    a = new VanillaSmartSelect("#a");
+    new VanillaSmartSelect("#b");
+    c = new VanillaSmartSelect("#c");
+  });
+
+  afterEach(() => {
+    VanillaSmartSelect.destroyAll();
+  });
+
+  test("getInstance finds instances by selector or element", () => {
+    expect(VanillaSmartSelect.getInstance("#a")).toBe(a);
+    expect(VanillaSmartSelect.getInstance(document.getElementById("c"))).toBe(
+      c,
+    );
+    expect(VanillaSmartSelect.getInstance("#missing")).toBeNull();
+    expect(VanillaSmartSelect.getAll()).toHaveLength(3);
+  });
+
+  test("re-initialising an element replaces its instance", () => {
+    const replacement = new VanillaSmartSelect("#a");
+
+    expect(VanillaSmartSelect.getAll()).toHaveLength(3);
+    expect(VanillaSmartSelect.getInstance("#a")).toBe(replacement);
+  });
+
+  test("destroy removes the instance from the registry", () => {
+    c.destroy();
+
+    expect(VanillaSmartSelect.getInstance("#c")).toBeNull();
+    expect(VanillaSmartSelect.getAll()).toHaveLength(2);
+  });
+
+  test("destroyAll tears down the instances inside a root", () => {
+    const count = VanillaSmartSelect.destroyAll(
+      document.getElementById("view1"),
+    );
+
+    expect(count).toBe(2);
+    expect(VanillaSmartSelect.getAll().map((i) => i.element.id)).toEqual(["c"]);
+
+    expect(VanillaSmartSelect.destroyAll()).toBe(1);
+    expect(VanillaSmartSelect.getAll()).toHaveLength(0);
+    expect(document.querySelectorAll(".vs-container")).toHaveLength(0);
+  });
+});
@@ -0,0 +1,101 @@
+import VanillaSmartSelect from "../src/index.js";
+
+const LABELS = { 7: "Seven", 8: "Eight", 42: "Answer", 43: "Next" };
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function chipTexts() {
+  return Array.from(
+    document.querySelectorAll(".vs-selection__choice__text"),
+  ).map((chip) => chip.textContent);
+}
+
+describe("ajax.resolveIds", () => {
+  let instance;
+  let resolveIds;
+
+  beforeEach(() => {
+    resolveIds = jest.fn((ids) =>
+      Promise.resolve(
+        ids
+          .filter((id) => LABELS[id])
+          .map((id) => ({ id: String(id), text: LABELS[id] })),
+      ),
+    );
+  });
+
+  afterEach(() => {
+    if (instance) instance.destroy();
+    instance = null;
+  });
+
+  function createRemote(html, options = {}) {
+    document.body.innerHTML = html;
+    instance = new VanillaSmartSelect(document.querySelector("select"), {
+      ajax: {
+        url: "/api/labels",
+        transport: () => Promise.resolve([]),
+        resolveIds,
+      },
+      ...options,
+    });
+  }
+
+  test("resolves preselected options on init", async () => {
+    createRemote(
+      '<select multiple><option value="42" selected>42</option></select>',
+    );
+
+    expect(chipTexts()).toEqual(["Loading..."]);
+    expect(
+      document
+        .querySelector(".vs-selection__choice__text")
+        .getAttribute("aria-busy"),
+    ).toBe("true");
+
+    await flush();
+    expect(resolveIds).toHaveBeenCalledWith(["42"]);
+    expect(chipTexts()).toEqual(["Answer"]);
+    expect(document.querySelector("option").textContent).toBe("Answer");
+  });
+
+  test("resolves ids given to val() that were never loaded", async () => {
+    createRemote(
+      '<select multiple><option value="42" selected>42</option></select>',
+    );
+    await flush();
+
+    instance.val(["42", "43", "99"]);
+    expect(instance.val()).toEqual(["42", "43", "99"]);
+
+    await flush();
+    // Only the unknown ids are requested, and unresolved ones keep their id
+    expect(resolveIds).toHaveBeenLastCalledWith(["43", "99"]);
+    expect(chipTexts()).toEqual(["Answer", "Next", "99"]);
+  });
+
+  test("resolves ids given to select() on a single select", async () => {
+    createRemote('<select><option value="7" selected>7</option></select>');
+    await flush();
+    const selection = () =>
+      document.querySelector(".vs-selection").textContent.trim();
+    expect(selection()).toBe("Seven");
+
+    instance.select("8");
+    expect(instance.val()).toBe("8");
+
+    await flush();
+    expect(selection()).toBe("Eight");
+  });
+
+  test("a failing resolveIds keeps the ids", async () => {
+    resolveIds.mockImplementation(() => Promise.reject(new Error("down")));
+    createRemote(
+      '<select multiple><option value="42" selected>42</option></select>',
+    );
+
+    await flush();
+    expect(chipTexts()).toEqual(["42"]);
+    expect(instance.val()).toEqual(["42"]);
+  });
+});
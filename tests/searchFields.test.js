@@ -0,0 +1,66 @@
+import VanillaSmartSelect from "../src/index.js";
+
+const COUNTRIES = [
+  { id: "de", text: "Germany", code: "DEU", aliases: ["Deutschland"] },
+  { id: "dk", text: "Denmark", code: "DNK" },
+  { id: "us", text: "United States", code: "USA", aliases: ["America"] },
+  { id: "au", text: "Australia", code: "AUS" },
+];
+
+describe("searchFields", () => {
+  let instance;
+  let matches;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<select id="country"></select>';
+    matches = [];
+    instance = new VanillaSmartSelect(document.getElementById("country"), {
+      data: COUNTRIES,
+      searchFields: [
+        "text",
+        { name: "code", weight: 2 },
+        { name: "aliases", weight: 0.5 },
+      ],
+      templateResult: (item, match) => {
+        matches.push([item.id, match ? `${match.field}=${match.value}` : null]);
+        return item.text;
+      },
+    });
+    instance.open();
+  });
+
+  afterEach(() => {
+    instance.destroy();
+    instance = null;
+  });
+
+  test("searches every field and ranks the heavier fields first", () => {
+    matches = [];
+    instance.resultsAdapter.update("us");
+
+    // Both match on their code, which outweighs the text "Australia"
+    expect(matches).toEqual([
+      ["us", "code=USA"],
+      ["au", "code=AUS"],
+    ]);
+  });
+
+  test("searches inside array fields", () => {
+    matches = [];
+    instance.resultsAdapter.update("deutsch");
+
+    expect(matches).toEqual([["de", "aliases=Deutschland"]]);
+  });
+
+  test("passes no match to templateResult without a search", () => {
+    matches = [];
+    instance.resultsAdapter.update("");
+
+    expect(matches).toEqual([
+      ["de", null],
+      ["dk", null],
+      ["us", null],
+      ["au", null],
+    ]);
+  });
+});
@@ -0,0 +1,114 @@
+import VanillaSmartSelect from "../src/index.js";
+
+const ENTER = 13;
+
+function createSelect({ limit = false } = {}) {
+  document.body.innerHTML = `
+    <select id="food" multiple>
+      <optgroup label="Fruits">
+        <option value="a">Apple</option>
+        <option value="b">Banana</option>
+        <option value="c" ${limit ? "" : "disabled"}>Cherry</option>
+      </optgroup>
+      <optgroup label="Vegetables">
+        <option value="d">Daikon</option>
+        <option value="e">Endive</option>
+      </optgroup>
+    </select>
+  `;
+  return document.getElementById("food");
+}
+
+function groupRows() {
+  return Array.from(document.querySelectorAll(".vs-result--group-option"));
+}
+
+// Group label -> aria-checked
+function groupStates() {
+  return Object.fromEntries(
+    groupRows().map((row) => [
+      row.textContent.trim(),
+      row.getAttribute("aria-checked"),
+    ]),
+  );
+}
+
+describe("selectableGroups", () => {
+  let instance;
+
+  afterEach(() => {
+    if (instance) instance.destroy();
+    instance = null;
+  });
+
+  test("clicking a group selects its enabled items in one change", () => {
+    const select = createSelect();
+    const onChange = jest.fn();
+    const onNativeChange = jest.fn();
+    select.addEventListener("vs:change", onChange);
+    select.addEventListener("change", onNativeChange);
+
+    instance = new VanillaSmartSelect(select, { selectableGroups: true });
+    instance.open();
+    groupRows()[0].click();
+
+    expect(instance.val()).toEqual(["a", "b"]);
+    expect(groupStates()).toEqual({ Fruits: "true", Vegetables: "false" });
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onNativeChange).toHaveBeenCalledTimes(1);
+    expect(instance.isOpen()).toBe(true);
+
+    instance.unselect("a");
+    expect(groupStates().Fruits).toBe("mixed");
+  });
+
+  test("Enter on a highlighted group toggles it", () => {
+    instance = new VanillaSmartSelect(createSelect(), {
+      selectableGroups: true,
+    });
+    instance.open();
+    const search = document.querySelector(".vs-search");
+
+    instance.resultsAdapter.results.highlight(0);
+    search.dispatchEvent(
+      new KeyboardEvent("keydown", { keyCode: ENTER, bubbles: true }),
+    );
+    expect(instance.val()).toEqual(["a", "b"]);
+
+    search.dispatchEvent(
+      new KeyboardEvent("keydown", { keyCode: ENTER, bubbles: true }),
+    );
+    expect(instance.val()).toEqual([]);
+  });
+
+  test("while searching only the matching items are selected", () => {
+    instance = new VanillaSmartSelect(createSelect(), {
+      selectableGroups: true,
+    });
+    instance.open();
+    instance.resultsAdapter.update("en");
+
+    groupRows()
+      .find((row) => row.textContent.trim() === "Vegetables")
+      .click();
+
+    expect(instance.val()).toEqual(["e"]);
+  });
+
+  test("respects maximumSelectionLength", () => {
+    const select = createSelect({ limit: true });
+    const onLimit = jest.fn();
+    select.addEventListener("vs:selectionLimitReached", onLimit);
+
+    instance = new VanillaSmartSelect(select, {
+      selectableGroups: true,
+      maximumSelectionLength: 2,
+    });
+    instance.open();
+    groupRows()[0].click();
+
+    expect(instance.val()).toEqual(["a", "b"]);
+    expect(onLimit).toHaveBeenCalledTimes(1);
+    expect(groupStates().Fruits).toBe("mixed");
+  });
+});
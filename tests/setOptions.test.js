@@ -0,0 +1,138 @@
+import VanillaSmartSelect from "../src/index.js";
+
+function createSelect() {
+  document.body.innerHTML = `
+    <form>
+      <select id="fruit" name="fruit">
+        <option value="a">Apple</option>
+        <option value="b" selected>Banana</option>
+        <option value="c">Cherry</option>
+      </select>
+    </form>
+  `;
+  return document.getElementById("fruit");
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function resultTexts() {
+  return Array.from(document.querySelectorAll(".vs-result")).map((result) =>
+    result.textContent.trim(),
+  );
+}
+
+describe("setOptions", () => {
+  let instance;
+
+  afterEach(() => {
+    if (instance) instance.destroy();
+    instance = null;
+  });
+
+  test("applies live options without rebuilding", () => {
+    instance = new VanillaSmartSelect(createSelect());
+    const container = instance.container;
+
+    instance.setOptions({ placeholder: "Pick", allowClear: true });
+
+    expect(instance.container).toBe(container);
+    expect(container.querySelector(".vs-selection__clear")).not.toBeNull();
+  });
+
+  test("rebuilding keeps the selection, the open state and the listeners", () => {
+    const select = createSelect();
+    instance = new VanillaSmartSelect(select);
+    const onChange = jest.fn();
+    instance.on("vs:change", onChange);
+    instance.open();
+
+    instance.setOptions({ multiple: true });
+
+    expect(select.multiple).toBe(true);
+    expect(instance.val()).toEqual(["b"]);
+    expect(instance.isOpen()).toBe(true);
+    expect(document.querySelectorAll(".vs-container")).toHaveLength(1);
+    expect(document.querySelectorAll(".vs-dropdown")).toHaveLength(1);
+
+    instance.select("a");
+    expect(instance.val()).toEqual(["b", "a"]);
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  test("going back to single keeps the first chosen item", () => {
+    const select = createSelect();
+    instance = new VanillaSmartSelect(select, { multiple: true });
+    instance.val(["c", "a"]);
+
+    instance.setOptions({ multiple: false });
+
+    expect(select.multiple).toBe(false);
+    expect(instance.val()).toBe("c");
+  });
+
+  test("rebuilding doesn't stack listeners", () => {
+    instance = new VanillaSmartSelect(createSelect());
+    const count = () =>
+      Array.from(instance._events.values()).reduce(
+        (total, listeners) => total + listeners.length,
+        0,
+      );
+
+    instance.setOptions({ theme: "dark" });
+    const listeners = count();
+    instance.setOptions({ theme: "light" });
+
+    expect(count()).toBe(listeners);
+    expect(instance.container.classList).toContain("vs-container--light");
+    expect(instance.container.classList).not.toContain("vs-container--dark");
+  });
+
+  test("rejects init-only and invalid options without changing anything", () => {
+    instance = new VanillaSmartSelect(createSelect(), { placeholder: "Pick" });
+
+    expect(() => instance.setOptions({ lazy: true })).toThrow(
+      'Option "lazy" can\'t be changed after init',
+    );
+    expect(() =>
+      instance.setOptions({ searchDelay: -5, placeholder: "Other" }),
+    ).toThrow("searchDelay must be a non-negative number");
+    expect(instance.options.get("placeholder")).toBe("Pick");
+  });
+
+  test("option() switches to remote data and back", async () => {
+    instance = new VanillaSmartSelect(createSelect());
+
+    instance.option("ajax", {
+      url: "/api/fruit",
+      delay: 0,
+      transport: () => Promise.resolve([{ id: "r", text: "Remote" }]),
+    });
+    expect(instance.ajaxAdapter).not.toBeNull();
+    expect(instance.option("ajax.url")).toBe("/api/fruit");
+
+    instance.open();
+    await flush();
+    expect(resultTexts()).toEqual(["Remote"]);
+    instance.close();
+
+    instance.setOptions({ ajax: null });
+    instance.open();
+    expect(instance.ajaxAdapter).toBeNull();
+    expect(resultTexts()).toEqual(["Apple", "Banana", "Cherry"]);
+    expect(instance.val()).toBe("b");
+  });
+
+  test("disabled goes through disable() and enable()", () => {
+    instance = new VanillaSmartSelect(createSelect());
+
+    instance.setOptions({ disabled: true });
+    expect(instance.isDisabled).toBe(true);
+    expect(instance.container.classList).toContain("vs-container--disabled");
+
+    instance.setOptions({ disabled: false, theme: "dark" });
+    expect(instance.isDisabled).toBe(false);
+    expect(instance.container.classList).not.toContain(
+      "vs-container--disabled",
+    );
+  });
+});
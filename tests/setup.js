@@ -0,0 +1,5 @@
+// jsdom doesn't implement layout - results scroll the highlighted item into
+// view
+if (!Element.prototype.scrollIntoView) {
+  Element.prototype.scrollIntoView = function () {};
+}
@@ -0,0 +1,121 @@
+import VanillaSmartSelect from "../src/index.js";
+
+const LEFT = 37;
+
+function createSelect() {
+  document.body.innerHTML = `
+    <form id="form">
+      <select id="parts" name="parts" multiple>
+        <option value="a" selected>A</option>
+        <option value="x">X</option>
+        <option value="b" selected>B</option>
+        <option value="c" selected>C</option>
+      </select>
+    </form>
+  `;
+  return document.getElementById("parts");
+}
+
+const formValues = () =>
+  new FormData(document.getElementById("form")).getAll("parts");
+
+function chips() {
+  return Array.from(document.querySelectorAll(".vs-selection__choice"));
+}
+
+// jsdom has no layout: chips are laid out in a row, 50px wide each
+function layoutChips() {
+  chips().forEach((chip, index) => {
+    chip.getBoundingClientRect = () => ({
+      left: index * 50,
+      right: index * 50 + 50,
+      top: 0,
+      bottom: 20,
+      width: 50,
+      height: 20,
+    });
+  });
+}
+
+function pointer(type, target, clientX) {
+  target.dispatchEvent(
+    new MouseEvent(type, {
+      clientX,
+      clientY: 10,
+      button: 0,
+      bubbles: true,
+      cancelable: true,
+    }),
+  );
+}
+
+describe("sortable", () => {
+  let instance;
+  let select;
+  let onReorder;
+
+  beforeEach(() => {
+    select = createSelect();
+    instance = new VanillaSmartSelect(select, { sortable: true });
+    onReorder = jest.fn();
+    select.addEventListener("vs:reorder", onReorder);
+  });
+
+  afterEach(() => {
+    instance.destroy();
+    instance = null;
+  });
+
+  test("Alt+Left moves the focused chip and keeps its focus", () => {
+    chips()[2].dispatchEvent(
+      new KeyboardEvent("keydown", {
+        keyCode: LEFT,
+        altKey: true,
+        bubbles: true,
+        cancelable: true,
+      }),
+    );
+
+    expect(instance.val()).toEqual(["a", "c", "b"]);
+    expect(document.activeElement.dataset.id).toBe("c");
+    expect(onReorder.mock.calls[0][0].detail).toEqual({
+      value: ["a", "c", "b"],
+      previousValue: ["a", "b", "c"],
+    });
+  });
+
+  test("dragging a chip moves it and the native options", () => {
+    layoutChips();
+    const chip = chips()[0];
+
+    pointer("pointerdown", chip, 10);
+    pointer("pointermove", document, 60);
+    pointer("pointermove", document, 140);
+    pointer("pointerup", document, 140);
+    pointer("click", chip, 140);
+
+    expect(instance.val()).toEqual(["b", "c", "a"]);
+    expect(formValues()).toEqual(["b", "c", "a"]);
+    // The drag doesn't open the dropdown
+    expect(instance.isOpen()).toBe(false);
+  });
+
+  test("a click without moving still opens the dropdown", () => {
+    layoutChips();
+    const chip = chips()[0];
+
+    pointer("pointerdown", chip, 10);
+    pointer("pointerup", document, 10);
+    pointer("click", chip, 10);
+
+    expect(instance.val()).toEqual(["a", "b", "c"]);
+    expect(instance.isOpen()).toBe(true);
+    expect(onReorder).not.toHaveBeenCalled();
+  });
+
+  test("moveItem stops at the ends of the selection", () => {
+    expect(instance.selectionAdapter.moveItem("a", -1)).toBe(false);
+    expect(instance.selectionAdapter.moveItem("a", 2)).toBe(true);
+    expect(instance.val()).toEqual(["b", "c", "a"]);
+  });
+});
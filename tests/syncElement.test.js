@@ -0,0 +1,91 @@
+import VanillaSmartSelect from "../src/index.js";
+
+function createSelect() {
+  document.body.innerHTML = `
+    <form>
+      <select id="status">
+        <option value="open">Open</option>
+        <option value="closed">Closed</option>
+      </select>
+    </form>
+  `;
+  return document.getElementById("status");
+}
+
+// MutationObserver callbacks run as microtasks
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("syncElement", () => {
+  let instance;
+
+  afterEach(() => {
+    if (instance) instance.destroy();
+    instance = null;
+  });
+
+  test("leaves the element's prototype and properties untouched by default", () => {
+    const select = createSelect();
+    instance = new VanillaSmartSelect(select);
+
+    expect(Object.getPrototypeOf(select)).toBe(HTMLSelectElement.prototype);
+    expect(Object.getOwnPropertyNames(select)).not.toContain("value");
+    expect(Object.getOwnPropertyNames(select)).not.toContain("selectedIndex");
+  });
+
+  test("follows option and attribute changes", async () => {
+    const select = createSelect();
+    instance = new VanillaSmartSelect(select);
+    const onChange = jest.fn();
+    instance.on("vs:change", onChange);
+
+    select.add(new Option("Archived", "archived"));
+    await flush();
+    expect(instance.data().map((item) => item.id)).toContain("archived");
+
+    select.options[2].setAttribute("selected", "");
+    await flush();
+    expect(instance.val()).toBe("archived");
+    expect(onChange).toHaveBeenCalled();
+
+    select.setAttribute("disabled", "");
+    await flush();
+    expect(instance.isDisabled).toBe(true);
+  });
+
+  test("syncElementValue follows value and selectedIndex writes", () => {
+    const select = createSelect();
+    instance = new VanillaSmartSelect(select, { syncElementValue: true });
+
+    expect(Object.getPrototypeOf(select)).toBe(HTMLSelectElement.prototype);
+
+    // jsdom's <select> proxy refuses assignments to own accessors, so the
+    // accessors are called the way browsers call them on select.value = ...
+    const setValue = Object.getOwnPropertyDescriptor(select, "value").set;
+    const setIndex = Object.getOwnPropertyDescriptor(
+      select,
+      "selectedIndex",
+    ).set;
+
+    setValue.call(select, "closed");
+    expect(instance.val()).toBe("closed");
+    expect(select.value).toBe("closed");
+
+    setIndex.call(select, 0);
+    expect(instance.val()).toBe("open");
+    expect(select.selectedIndex).toBe(0);
+  });
+
+  test("destroy removes the value accessors", () => {
+    const select = createSelect();
+    instance = new VanillaSmartSelect(select, { syncElementValue: true });
+    expect(Object.getOwnPropertyNames(select)).toContain("value");
+
+    instance.destroy();
+    instance = null;
+
+    expect(Object.getOwnPropertyNames(select)).not.toContain("value");
+    expect(Object.getOwnPropertyNames(select)).not.toContain("selectedIndex");
+    select.value = "closed";
+    expect(select.value).toBe("closed");
+  });
+});
@@ -0,0 +1,205 @@
+import VanillaSmartSelect from "../src/index.js";
+
+function createSelect(html = "") {
+  document.body.innerHTML = `<select id="labels" multiple>${html}</select>`;
+  return document.getElementById("labels");
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const LABELS = [
+  { id: "10", text: "Bug" },
+  { id: "11", text: "Feature" },
+];
+
+describe("tokenized tags", () => {
+  let instance;
+
+  afterEach(() => {
+    if (instance) instance.destroy();
+    instance = null;
+  });
+
+  test("matches local options and creates tags for the other tokens", async () => {
+    instance = new VanillaSmartSelect(
+      createSelect('<option value="red">Red</option>'),
+      { tags: true, tokenSeparators: [","], maximumSelectionLength: 3 },
+    );
+
+    const detail = await instance.resultsAdapter.addTokens([
+      "red",
+      "green",
+      "Green",
+      "blue",
+      "pink",
+    ]);
+
+    expect(instance.val()).toEqual(["red", "green", "blue"]);
+    expect(detail.rejected).toEqual([
+      { token: "Green", reason: "duplicate" },
+      { token: "pink", reason: "limit" },
+    ]);
+    expect(instance.data().map((item) => item.id)).toContain("green");
+  });
+
+  test("typing a separator turns the text before it into tags", () => {
+    instance = new VanillaSmartSelect(createSelect(), {
+      tags: true,
+      tokenSeparators: [",", ";"],
+    });
+    instance.open();
+
+    const input = document.querySelector(".vs-search");
+    input.value = "red; green, bl";
+    input.dispatchEvent(new Event("input"));
+
+    expect(instance.val()).toEqual(["red", "green"]);
+    expect(input.value).toBe("bl");
+  });
+
+  test("pasting creates every token, including the last one", () => {
+    const select = createSelect(
+      '<option value="red">Red</option><option value="blue" disabled>Blue</option>',
+    );
+    instance = new VanillaSmartSelect(select, {
+      tags: true,
+      tokenSeparators: [","],
+    });
+    const onTokenize = jest.fn();
+    select.addEventListener("vs:tokenize", onTokenize);
+    instance.open();
+
+    const input = document.querySelector(".vs-search");
+    const paste = new Event("paste", { bubbles: true, cancelable: true });
+    paste.clipboardData = { getData: () => "Red, blue, green" };
+    input.dispatchEvent(paste);
+
+    expect(paste.defaultPrevented).toBe(true);
+    expect(input.value).toBe("");
+    expect(instance.val()).toEqual(["red", "green"]);
+    expect(onTokenize.mock.calls[0][0].detail.rejected).toEqual([
+      { token: "blue", reason: "disabled" },
+    ]);
+  });
+
+  test("a single pasted token is pasted as text", () => {
+    instance = new VanillaSmartSelect(createSelect(), {
+      tags: true,
+      tokenSeparators: [","],
+    });
+    instance.open();
+
+    const paste = new Event("paste", { bubbles: true, cancelable: true });
+    paste.clipboardData = { getData: () => "green" };
+    document.querySelector(".vs-search").dispatchEvent(paste);
+
+    expect(paste.defaultPrevented).toBe(false);
+    expect(instance.val()).toEqual([]);
+  });
+
+  test("a custom tokenizer replaces the separators", () => {
+    const tokenizer = jest.fn(({ term, final }) => {
+      const words = term.split(/\s+/);
+      const rest = final ? "" : words.pop();
+      return { tokens: words.filter(Boolean), term: rest };
+    });
+    instance = new VanillaSmartSelect(createSelect(), {
+      tags: true,
+      tokenizer,
+    });
+    instance.open();
+
+    const input = document.querySelector(".vs-search");
+    input.value = "one two thr";
+    input.dispatchEvent(new Event("input"));
+
+    expect(tokenizer).toHaveBeenCalledWith(
+      expect.objectContaining({ term: "one two thr", final: false }),
+    );
+    expect(instance.val()).toEqual(["one", "two"]);
+    expect(input.value).toBe("thr");
+  });
+
+  describe("with ajax", () => {
+    function createRemote(ajax = {}, options = {}) {
+      const transport = jest.fn(() => Promise.resolve(LABELS));
+      instance = new VanillaSmartSelect(createSelect(), {
+        tags: true,
+        tokenSeparators: [","],
+        ajax: { url: "/api/labels", transport, ...ajax },
+        ...options,
+      });
+      return transport;
+    }
+
+    test("matches tokens against the loaded results", async () => {
+      createRemote();
+      await flush();
+
+      const detail = await instance.resultsAdapter.addTokens(["bug", "docs"]);
+
+      expect(instance.val()).toEqual(["10", "docs"]);
+      expect(detail.added.map((item) => item.id)).toEqual(["10", "docs"]);
+      // The results page isn't replaced with the tokens
+      expect(
+        instance.resultsAdapter.accumulatedResults.map((item) => item.id),
+      ).toEqual(["10", "11"]);
+      expect(instance.data().map((item) => item.id)).not.toContain("docs");
+    });
+
+    test("saves new tags through ajax.createTag", async () => {
+      let nextId = 100;
+      const createTag = jest.fn((tag) =>
+        Promise.resolve({ id: String(nextId++), text: tag.text }),
+      );
+      createRemote({ createTag });
+      await flush();
+
+      const onTokenize = jest.fn();
+      instance.on("vs:tokenize", onTokenize);
+
+      const detail = await instance.resultsAdapter.addTokens([
+        "docs",
+        "Feature",
+        "Docs",
+        "ui",
+      ]);
+
+      expect(createTag).toHaveBeenCalledTimes(2);
+      expect(createTag.mock.calls[0][1]).toEqual({ term: "docs" });
+      expect(instance.val()).toEqual(["11", "100", "101"]);
+      expect(detail.rejected).toEqual([{ token: "Docs", reason: "duplicate" }]);
+      expect(onTokenize).toHaveBeenCalledTimes(1);
+      expect(onTokenize.mock.calls[0][0].added.map((item) => item.id)).toEqual([
+        "11",
+        "100",
+        "101",
+      ]);
+    });
+
+    test("tags refused by ajax.createTag are rejected", async () => {
+      createRemote({ createTag: () => null });
+      await flush();
+
+      const detail = await instance.resultsAdapter.addTokens(["docs"]);
+
+      expect(instance.val()).toEqual([]);
+      expect(detail.rejected).toEqual([{ token: "docs", reason: "invalid" }]);
+    });
+
+    test("pending tags count towards maximumSelectionLength", async () => {
+      const createTag = jest.fn((tag) => ({
+        id: `t-${tag.id}`,
+        text: tag.text,
+      }));
+      createRemote({ createTag }, { maximumSelectionLength: 1 });
+      await flush();
+
+      const detail = await instance.resultsAdapter.addTokens(["docs", "ui"]);
+
+      expect(createTag).toHaveBeenCalledTimes(1);
+      expect(instance.val()).toEqual(["t-docs"]);
+      expect(detail.rejected).toEqual([{ token: "ui", reason: "limit" }]);
+    });
+  });
+});
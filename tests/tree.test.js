@@ -0,0 +1,88 @@
+import VanillaSmartSelect from "../src/index.js";
+
+const DATA = [
+  {
+    text: "Engineering",
+    children: [{ text: "Archive", children: [{ id: "alice", text: "Alice" }] }],
+  },
+  {
+    text: "Sales",
+    children: [{ text: "Archive", children: [{ id: "dave", text: "Dave" }] }],
+  },
+];
+
+function createSelect() {
+  document.body.innerHTML = '<select id="people"></select>';
+  return document.getElementById("people");
+}
+
+function resultTexts() {
+  return Array.from(document.querySelectorAll(".vs-result")).map((result) =>
+    result.textContent.trim(),
+  );
+}
+
+describe("tree", () => {
+  let instance;
+
+  afterEach(() => {
+    if (instance) instance.destroy();
+    instance = null;
+  });
+
+  test("same-label branches under different parents toggle separately", () => {
+    instance = new VanillaSmartSelect(createSelect(), {
+      data: DATA,
+      tree: true,
+    });
+    instance.open();
+    expect(resultTexts()).toEqual([
+      "Engineering",
+      "Archive",
+      "Alice",
+      "Sales",
+      "Archive",
+      "Dave",
+    ]);
+
+    // Engineering > Archive
+    instance.resultsAdapter.toggleBranch(1, false);
+    expect(resultTexts()).toEqual([
+      "Engineering",
+      "Archive",
+      "Sales",
+      "Archive",
+      "Dave",
+    ]);
+
+    // Sales > Archive
+    instance.resultsAdapter.toggleBranch(3, false);
+    instance.resultsAdapter.toggleBranch(1, true);
+    expect(resultTexts()).toEqual([
+      "Engineering",
+      "Archive",
+      "Alice",
+      "Sales",
+      "Archive",
+    ]);
+  });
+
+  test("the toggled state survives a search", () => {
+    instance = new VanillaSmartSelect(createSelect(), {
+      data: DATA,
+      tree: true,
+      treeCollapsed: true,
+    });
+    instance.open();
+    instance.resultsAdapter.toggleBranch(1, true);
+    instance.resultsAdapter.toggleBranch(2, true);
+    expect(resultTexts()).toEqual(["Engineering", "Sales", "Archive", "Dave"]);
+
+    // Searching expands the path to every match
+    instance.resultsAdapter.update("alice");
+    expect(resultTexts()).toEqual(["Engineering", "Archive", "Alice"]);
+
+    instance.resultsAdapter.update("");
+    expect(resultTexts()).toEqual(["Engineering", "Sales", "Archive", "Dave"]);
+  });
+});
@@ -0,0 +1,77 @@
+import VanillaSmartSelect from "../src/index.js";
+
+const DOWN = 40;
+const END = 35;
+const ENTER = 13;
+
+function createSelect() {
+  document.body.innerHTML = '<select id="items"></select>';
+  return document.getElementById("items");
+}
+
+function createItems(count) {
+  return Array.from({ length: count }, (value, index) => ({
+    id: String(index),
+    text: `Item ${index}`,
+    disabled: index === 1,
+  }));
+}
+
+function press(keyCode) {
+  document
+    .querySelector(".vs-search")
+    .dispatchEvent(
+      new KeyboardEvent("keydown", {
+        keyCode,
+        bubbles: true,
+        cancelable: true,
+      }),
+    );
+}
+
+describe("virtualScroll", () => {
+  let instance;
+  let results;
+
+  beforeEach(() => {
+    instance = new VanillaSmartSelect(createSelect(), {
+      data: createItems(5000),
+      virtualScroll: true,
+    });
+    instance.open();
+    results = document.querySelector(".vs-results");
+  });
+
+  afterEach(() => {
+    instance.destroy();
+    instance = null;
+  });
+
+  test("only renders the rows around the viewport", () => {
+    const rows = results.querySelectorAll(".vs-result");
+
+    expect(instance.resultsAdapter.results.flatResults).toHaveLength(5000);
+    expect(rows.length).toBeGreaterThan(0);
+    expect(rows.length).toBeLessThan(50);
+  });
+
+  test("keyboard navigation skips disabled items and scrolls to off-screen rows", () => {
+    press(DOWN);
+    expect(instance.resultsAdapter.results.highlightedIndex).toBe(2);
+
+    press(END);
+    const highlighted = results.querySelector(".vs-result--highlighted");
+    expect(highlighted.dataset.index).toBe("4999");
+    expect(results.scrollTop).toBeGreaterThan(0);
+
+    press(ENTER);
+    expect(instance.val()).toBe("4999");
+  });
+
+  test("searching renders the matches only", () => {
+    instance.resultsAdapter.update("Item 499");
+
+    expect(instance.resultsAdapter.results.flatResults).toHaveLength(11);
+    expect(results.querySelectorAll(".vs-result")).toHaveLength(11);
+  });
+});